@@ -0,0 +1,214 @@
+// Clean up: find near-blank pages (little ink and no text) and duplicates (same perceptual hash
+// and same text as an earlier page). Flagged pages are highlighted and can be selected or removed.
+
+const analyzeBtn = document.getElementById('analyzeBtn');
+const analysisSensitivity = document.getElementById('analysisSensitivity');
+const flagBlank = document.getElementById('flagBlank');
+const flagDuplicates = document.getElementById('flagDuplicates');
+const analysisSummary = document.getElementById('analysisSummary');
+const selectFlaggedBtn = document.getElementById('selectFlaggedBtn');
+const removeFlaggedBtn = document.getElementById('removeFlaggedBtn');
+
+const ANALYSIS_WIDTH = 200; // Pixel width pages are rendered at for the statistics
+const HASH_COLUMNS = 16; // Difference hash of 16×16 bits
+const HASH_ROWS = 16;
+const INK_LUMINANCE = 200; // Pixels darker than this count as ink, lighter scanner noise does not
+
+const pageAnalysis = new WeakMap(); // pdfPage -> { ink, hash, text }, duplicated pages share their pdfPage
+let pageFlags = new Map(); // pageId -> { blank, duplicateOf }
+let pageFlagsKey = null; // Thresholds and page order pageFlags was evaluated for
+let analysisDone = false;
+
+analyzeBtn.addEventListener('click', handleAnalyzePages);
+analysisSensitivity.addEventListener('input', updatePageFlags);
+flagBlank.addEventListener('change', updatePageFlags);
+flagDuplicates.addEventListener('change', updatePageFlags);
+selectFlaggedBtn.addEventListener('click', handleSelectFlagged);
+removeFlaggedBtn.addEventListener('click', handleRemoveFlagged);
+
+async function analyzePage(pdfPage) {
+  if (pageAnalysis.has(pdfPage)) return pageAnalysis.get(pdfPage);
+
+  const viewport = pdfPage.getViewport({ scale: 1 });
+  const canvas = await renderPage(pdfPage, 0, ANALYSIS_WIDTH / viewport.width);
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+
+  let dark = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] < INK_LUMINANCE) dark++;
+  }
+
+  // Difference hash: shrink to (columns + 1) × rows and compare horizontal neighbours
+  const small = document.createElement('canvas');
+  small.width = HASH_COLUMNS + 1;
+  small.height = HASH_ROWS;
+  const smallContext = small.getContext('2d');
+  smallContext.drawImage(canvas, 0, 0, small.width, small.height);
+  const pixels = smallContext.getImageData(0, 0, small.width, small.height).data;
+  const luminance = i => 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+
+  const hash = new Uint8Array(HASH_COLUMNS * HASH_ROWS);
+  for (let y = 0; y < HASH_ROWS; y++) {
+    for (let x = 0; x < HASH_COLUMNS; x++) {
+      const i = y * small.width + x;
+      hash[y * HASH_COLUMNS + x] = luminance(i) > luminance(i + 1) ? 1 : 0;
+    }
+  }
+
+  const text = await getPageText(pdfPage);
+
+  canvas.width = 0;
+  canvas.height = 0;
+
+  const result = { ink: dark / (data.length / 4), hash, text };
+  pageAnalysis.set(pdfPage, result);
+  return result;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+// Sensitivity 0-100: higher flags more pages
+function getAnalysisThresholds() {
+  const sensitivity = Number(analysisSensitivity.value) / 100;
+  return {
+    blankInk: 0.0005 + sensitivity * 0.01, // 0.05% to 1.05% of the page inked
+    duplicateDistance: Math.round(sensitivity * 0.12 * HASH_COLUMNS * HASH_ROWS) // Up to 12% of the bits may differ
+  };
+}
+
+// Recompute the flags from the stored statistics, in the current page order. Most syncs
+// (selection, thumbnails) leave the order alone and reuse the flags.
+function evaluatePageFlags() {
+  const { blankInk, duplicateDistance } = getAnalysisThresholds();
+  const pages = pageManager.getAllPages();
+  const key = `${blankInk}/${duplicateDistance}/${pages.map(page => page.id).join(',')}`;
+  if (key === pageFlagsKey) return;
+  pageFlagsKey = key;
+
+  const originals = new Map(); // text -> [{ page, result }] of analyzed, non-blank pages kept so far
+  pageFlags = new Map();
+
+  pages.forEach(page => {
+    // Inserted blank and separator pages are there on purpose
+    const result = page.synthetic ? null : pageAnalysis.get(page.pdfPage);
+    if (!result) return;
+
+    if (!result.text && result.ink < blankInk) {
+      pageFlags.set(page.id, { blank: true, duplicateOf: null });
+      return;
+    }
+
+    // Pages with text must also read the same; image-only pages are compared by hash alone
+    if (!originals.has(result.text)) originals.set(result.text, []);
+    const candidates = originals.get(result.text);
+    const original = candidates.find(other => hammingDistance(other.result.hash, result.hash) <= duplicateDistance);
+    if (original) {
+      pageFlags.set(page.id, { blank: false, duplicateOf: original.page.id });
+    } else {
+      candidates.push({ page, result });
+    }
+  });
+}
+
+// Flags that count with the current checkboxes
+function getFlaggedIds() {
+  return pageManager.getAllPages()
+    .filter(page => {
+      const flag = pageFlags.get(page.id);
+      return flag && ((flag.blank && flagBlank.checked) || (flag.duplicateOf !== null && flagDuplicates.checked));
+    })
+    .map(page => page.id);
+}
+
+// Called from syncGrid: flags follow the current order, so a duplicate always points to a page
+// that is still there before it, then highlight flagged cards
+function updatePageFlags() {
+  if (!analysisDone) return;
+
+  evaluatePageFlags();
+  const pages = pageManager.getAllPages();
+  const positions = new Map(pages.map((page, index) => [page.id, index]));
+  const flagged = new Set(getFlaggedIds());
+  pages.forEach(page => {
+    const pageDiv = pageCards.get(page.id);
+    if (!pageDiv) return;
+
+    const flag = flagged.has(page.id) ? pageFlags.get(page.id) : null;
+    let badge = pageDiv.querySelector('.page-flag');
+    pageDiv.classList.toggle('flagged', Boolean(flag));
+    if (!flag) {
+      if (badge) badge.remove();
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.className = 'page-flag absolute top-5 left-1/2 transform -translate-x-1/2 z-10 text-xs font-medium px-2 py-0.5 rounded-full shadow';
+      pageDiv.firstElementChild.appendChild(badge);
+    }
+    const originalIndex = flag.blank ? undefined : positions.get(flag.duplicateOf);
+    badge.textContent = flag.blank ? 'Blank' : originalIndex === undefined ? 'Duplicate' : `Duplicate of ${originalIndex + 1}`;
+    badge.classList.toggle('bg-amber-100', flag.blank);
+    badge.classList.toggle('text-amber-800', flag.blank);
+    badge.classList.toggle('bg-purple-100', !flag.blank);
+    badge.classList.toggle('text-purple-800', !flag.blank);
+  });
+
+  const blankCount = [...flagged].filter(id => pageFlags.get(id).blank).length;
+  analysisSummary.textContent = `${blankCount} blank and ${flagged.size - blankCount} duplicate page(s) flagged`;
+  selectFlaggedBtn.disabled = flagged.size === 0;
+  removeFlaggedBtn.disabled = flagged.size === 0;
+}
+
+async function handleAnalyzePages() {
+  const pages = pageManager.getAllPages();
+  if (pages.length === 0) {
+    alert('Please upload PDF files first');
+    return;
+  }
+
+  console.log('=== ANALYZING PAGES ===');
+  const startTime = performance.now();
+  const originalText = analyzeBtn.innerHTML;
+  analyzeBtn.disabled = true;
+
+  try {
+    // Inserted pages are skipped; filtering also copies the list, pages may be edited meanwhile
+    const queue = pages.filter(page => !page.synthetic);
+    for (let i = 0; i < queue.length; i++) {
+      analyzeBtn.textContent = `Analyzing ${i + 1}/${queue.length}...`;
+      await analyzePage(queue[i].pdfPage);
+    }
+
+    analysisDone = true;
+    pageFlagsKey = null; // New statistics
+    updatePageFlags();
+    console.log(`✓ Analyzed ${queue.length} pages in ${((performance.now() - startTime) / 1000).toFixed(2)}s`);
+  } catch (error) {
+    console.error('✗ ERROR analyzing pages:', error);
+    alert(`Error analyzing pages: ${error.message}`);
+  } finally {
+    analyzeBtn.disabled = false;
+    analyzeBtn.innerHTML = originalText;
+  }
+}
+
+function handleSelectFlagged() {
+  evaluatePageFlags();
+  pageManager.selectOnly(getFlaggedIds(), 'Select flagged pages');
+  syncGrid();
+}
+
+function handleRemoveFlagged() {
+  evaluatePageFlags();
+  const ids = getFlaggedIds();
+  pageManager.removePages(ids);
+  syncGrid();
+  console.log(`✓ Removed ${ids.length} flagged page(s)`);
+}
@@ -0,0 +1,22 @@
+// Export worker: builds the PDFs (and the ZIP) of a job planned on the page, see assembly.js
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/@cantoo/pdf-lib@2.11.1/dist/pdf-lib.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+  'pdf-build.js',
+  'structure.js',
+  'pdf-optimize.js'
+);
+
+self.onmessage = async (e) => {
+  const { job } = e.data;
+  console.log(`=== WORKER: ${job.outputs.length} output(s) from ${job.files.length} file(s) ===`);
+
+  try {
+    const result = await buildAssemblyJob(job, progress => self.postMessage({ type: 'progress', ...progress }));
+    self.postMessage({ type: 'done', ...result }, [result.bytes.buffer]);
+  } catch (error) {
+    console.error('✗ WORKER ERROR:', error);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
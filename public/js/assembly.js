@@ -0,0 +1,162 @@
+// Export jobs: Merge, Extract and Split plan their output here and hand it to
+// assembly-worker.js, so loading, copying, saving and zipping never block the page.
+// Progress comes back as messages; Cancel terminates the worker.
+
+const jobProgress = document.getElementById('jobProgress');
+const jobProgressLabel = document.getElementById('jobProgressLabel');
+const jobProgressEta = document.getElementById('jobProgressEta');
+const jobProgressBar = document.getElementById('jobProgressBar');
+const jobCancelBtn = document.getElementById('jobCancelBtn');
+
+let activeJob = null; // { cancel } while an export is running
+
+jobCancelBtn.addEventListener('click', () => {
+  if (activeJob) activeJob.cancel();
+});
+
+// Describe a grid page for the worker (structured-clone friendly, no pdf.js objects)
+function planPage(page) {
+  return {
+    fileIndex: page.fileIndex,
+    originalPageNum: page.originalPageNum,
+    rotation: page.rotation,
+    crop: page.crop,
+    synthetic: page.synthetic || null,
+    fileName: page.fileName
+  };
+}
+
+// Turn [{ name, pages, structure, layout }] into a job the worker can run on its own.
+// label is the verb shown in the progress bar ("Merging", "Extracting", ...).
+async function planExportJob(label, outputs, { encryption = null, stamps = null, zipName = null } = {}) {
+  const fileIndices = new Set();
+  outputs.forEach(output => output.pages.forEach(page => {
+    if (!page.synthetic) fileIndices.add(page.fileIndex);
+  }));
+
+  const files = [];
+  for (const fileIndex of fileIndices) {
+    const file = pageManager.originalFiles[fileIndex];
+    files.push({
+      fileIndex,
+      name: file.name,
+      bytes: await file.arrayBuffer(),
+      password: pageManager.getFilePassword(fileIndex)
+    });
+  }
+
+  return {
+    label,
+    files,
+    outputs: outputs.map(output => ({
+      name: output.name,
+      pages: output.pages.map(planPage),
+      structure: output.structure || null,
+      layout: output.layout || null,
+      properties: getDocumentProperties(output.pages)
+    })),
+    stamps,
+    encryption,
+    optimize: getOptimizeOptions(),
+    zipName
+  };
+}
+
+function setExportControlsDisabled(disabled) {
+  [mergeBtn, extractBtn, splitBtn].forEach(button => button.disabled = disabled);
+}
+
+function formatEta(seconds) {
+  if (seconds < 60) return `~${Math.ceil(seconds)}s left`;
+  return `~${Math.floor(seconds / 60)}m ${Math.ceil(seconds % 60)}s left`;
+}
+
+function showJobProgress({ fraction, label }, startTime) {
+  jobProgressLabel.textContent = label;
+  jobProgressBar.style.width = `${Math.round(fraction * 100)}%`;
+
+  // Too early to tell after a few pages, the first ones include loading the files
+  const elapsed = (performance.now() - startTime) / 1000;
+  jobProgressEta.textContent = fraction > 0.05 && fraction < 1 ? formatEta((elapsed / fraction) * (1 - fraction)) : '';
+}
+
+// Run a planned job and resolve with { name, bytes, mimeType, report }. Rejects with JobCancelledError on Cancel.
+// button shows the progress label too, like the per-operation progress elsewhere.
+function runExportJob(job, button) {
+  const startTime = performance.now();
+  const transfer = job.files.map(file => file.bytes);
+
+  setExportControlsDisabled(true);
+  jobProgress.classList.remove('hidden');
+  showJobProgress({ fraction: 0, label: `${job.label}...` }, startTime);
+
+  const onProgress = (progress) => {
+    showJobProgress(progress, startTime);
+    button.textContent = progress.label;
+  };
+
+  // Workers are unavailable when the page is opened from file://: either new Worker throws or the
+  // worker fails before its first message. The job is then built on the page instead.
+  const buildOnPage = async (reason) => {
+    console.warn('Export worker unavailable, building on the main thread:', reason);
+    let cancelled = false;
+    activeJob = { cancel: () => cancelled = true };
+    // Bytes already transferred to the failed worker are detached, read those files again
+    for (const file of job.files) {
+      if (file.bytes.byteLength === 0) file.bytes = await pageManager.originalFiles[file.fileIndex].arrayBuffer();
+    }
+    return buildAssemblyJob(job, onProgress, () => cancelled);
+  };
+
+  return new Promise((resolve, reject) => {
+    let worker;
+    try {
+      worker = new Worker('./public/js/assembly-worker.js');
+    } catch (error) {
+      buildOnPage(error.message).then(resolve, reject);
+      return;
+    }
+    let started = false;
+
+    activeJob = {
+      cancel: () => {
+        worker.terminate();
+        reject(new JobCancelledError());
+      }
+    };
+
+    worker.onmessage = (e) => {
+      started = true;
+      const message = e.data;
+      if (message.type === 'progress') {
+        onProgress(message);
+      } else if (message.type === 'done') {
+        worker.terminate();
+        resolve(message);
+      } else {
+        worker.terminate();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (e) => {
+      e.preventDefault();
+      worker.terminate();
+      if (!started) {
+        buildOnPage(e.message || 'the worker could not be started').then(resolve, reject);
+      } else {
+        reject(new Error(e.message || 'The export worker failed'));
+      }
+    };
+
+    worker.postMessage({ job }, transfer);
+  }).then(result => {
+    showOptimizeReport(result.report);
+    return result;
+  }).finally(() => {
+    activeJob = null;
+    jobProgress.classList.add('hidden');
+    setExportControlsDisabled(false);
+    console.log(`Export job finished in ${((performance.now() - startTime) / 1000).toFixed(2)}s`);
+  });
+}
@@ -0,0 +1,92 @@
+// Bulk actions: rotate, duplicate, reverse, move and delete every selected page at once.
+// Each action is a single undo step.
+
+const bulkActions = document.getElementById('bulkActions');
+const bulkCount = document.getElementById('bulkCount');
+const bulkPosition = document.getElementById('bulkPosition');
+
+document.getElementById('bulkRotateLeftBtn').addEventListener('click', () => handleBulkRotate(-90));
+document.getElementById('bulkRotateRightBtn').addEventListener('click', () => handleBulkRotate(90));
+document.getElementById('bulkRotate180Btn').addEventListener('click', () => handleBulkRotate(180));
+document.getElementById('bulkDuplicateBtn').addEventListener('click', handleBulkDuplicate);
+document.getElementById('bulkReverseBtn').addEventListener('click', handleBulkReverse);
+document.getElementById('bulkMoveStartBtn').addEventListener('click', () => handleBulkMove(0));
+document.getElementById('bulkMoveEndBtn').addEventListener('click', () => handleBulkMove(Infinity));
+document.getElementById('bulkMoveToBtn').addEventListener('click', handleBulkMoveTo);
+document.getElementById('bulkDeleteBtn').addEventListener('click', handleBulkDelete);
+bulkPosition.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') handleBulkMoveTo();
+});
+updateBulkActions(0);
+
+// Called from updateStats
+function updateBulkActions(selectedCount) {
+  bulkCount.textContent = `${selectedCount} selected`;
+  bulkActions.querySelectorAll('button, input').forEach(control => control.disabled = selectedCount === 0);
+}
+
+function getSelectedIds() {
+  return pageManager.getSelectedPages().map(p => p.id);
+}
+
+// Dragging a selected card takes the whole selection along
+function getDraggedPageIds(pageId) {
+  const page = pageManager.getPage(pageId);
+  return page && page.selected ? getSelectedIds() : [pageId];
+}
+
+// Drop pages on a card: before it when moving up, after it when moving down (like a single-page drag)
+function dropPagesOnCard(ids, targetId) {
+  if (ids.includes(targetId)) return;
+
+  const pages = pageManager.getAllPages();
+  const firstIndex = pages.findIndex(p => p.id === ids[0]);
+  const targetIndex = pages.findIndex(p => p.id === targetId);
+  const rest = pages.filter(p => !ids.includes(p.id));
+  const restIndex = rest.findIndex(p => p.id === targetId);
+
+  pageManager.movePages(ids, targetIndex > firstIndex ? restIndex + 1 : restIndex, ids.length === 1 ? 'Move page' : 'Move pages');
+}
+
+function handleBulkRotate(degrees) {
+  pageManager.rotatePages(getSelectedIds(), degrees);
+  syncGrid();
+}
+
+async function handleBulkDuplicate() {
+  const copies = pageManager.duplicatePages(getSelectedIds());
+  for (const copy of copies) {
+    await addPageToGrid(copy);
+  }
+  console.log(`✓ Duplicated ${copies.length} page(s)`);
+}
+
+function handleBulkReverse() {
+  pageManager.reversePages(getSelectedIds());
+  syncGrid();
+}
+
+function handleBulkMove(index) {
+  pageManager.movePages(getSelectedIds(), index);
+  syncGrid();
+}
+
+// Position N is where the first selected page ends up, counted in the final order
+function handleBulkMoveTo() {
+  const ids = getSelectedIds();
+  const last = pageManager.getAllPages().length - ids.length + 1;
+  const position = Number(bulkPosition.value);
+
+  if (!Number.isInteger(position) || position < 1 || position > last) {
+    alert(`Enter a position between 1 and ${last}.`);
+    return;
+  }
+  handleBulkMove(position - 1);
+}
+
+function handleBulkDelete() {
+  const ids = getSelectedIds();
+  pageManager.removePages(ids);
+  syncGrid();
+  console.log(`✓ Deleted ${ids.length} page(s)`);
+}
@@ -0,0 +1,147 @@
+// Collate scans: interleave the pages of two loaded files, e.g. the fronts and the (reversed)
+// backs of a stack fed through a single-sided scanner. The result replaces both files' pages in
+// the grid as one undo step, so the order can be checked before merging.
+
+const collateFronts = document.getElementById('collateFronts');
+const collateBacks = document.getElementById('collateBacks');
+const collateReverse = document.getElementById('collateReverse');
+const collateBlockSize = document.getElementById('collateBlockSize');
+const collateRemainder = document.getElementById('collateRemainder');
+const collateBtn = document.getElementById('collateBtn');
+const collateSummary = document.getElementById('collateSummary');
+
+collateBtn.addEventListener('click', handleCollate);
+
+// Files that still have pages in the grid; collating needs two of them
+function getCollateFileIndices() {
+  return [...new Set(pageManager.getAllPages().filter(p => !p.synthetic).map(p => p.fileIndex))].sort((a, b) => a - b);
+}
+
+// Called from syncGrid: offer the files that still have pages in the grid
+function updateCollateFiles() {
+  const fileIndices = getCollateFileIndices();
+  const key = fileIndices.join(',');
+  if (collateFronts.dataset.files === key) return;
+  collateFronts.dataset.files = key;
+
+  // Keep the user's choice while the file is loaded; backs default to a file other than the fronts
+  const fill = (select, exclude) => {
+    const previous = select.value === '' ? null : Number(select.value);
+    select.innerHTML = '';
+    fileIndices.forEach(fileIndex => {
+      const option = document.createElement('option');
+      option.value = fileIndex;
+      option.textContent = pageManager.originalFiles[fileIndex].name;
+      select.appendChild(option);
+    });
+    const choice = fileIndices.includes(previous) && previous !== exclude
+      ? previous
+      : fileIndices.find(fileIndex => fileIndex !== exclude);
+    if (choice !== undefined) select.value = choice;
+  };
+  fill(collateFronts, null);
+  fill(collateBacks, Number(collateFronts.value));
+  collateBtn.disabled = fileIndices.length < 2;
+}
+
+// Interleave two page lists in blocks. remainder: 'append' puts the pages one list has left over
+// at the end, 'blank' pads the shorter block with null (a blank page) so pages stay paired.
+function collatePageLists(fronts, backs, { reverse, blockSize, remainder }) {
+  const second = reverse ? [...backs].reverse() : backs;
+  const collated = [];
+  for (let i = 0; i < Math.max(fronts.length, second.length); i += blockSize) {
+    const front = fronts.slice(i, i + blockSize);
+    const back = second.slice(i, i + blockSize);
+    if (remainder === 'blank') {
+      const length = Math.max(front.length, back.length);
+      while (front.length < length) front.push(null);
+      while (back.length < length) back.push(null);
+    }
+    collated.push(...front, ...back);
+  }
+  return collated;
+}
+
+async function handleCollate() {
+  const frontIndex = Number(collateFronts.value);
+  const backIndex = Number(collateBacks.value);
+  const blockSize = Number(collateBlockSize.value);
+  if (collateFronts.value === '' || collateBacks.value === '' || frontIndex === backIndex) {
+    alert('Choose two different files to collate');
+    return;
+  }
+  if (!Number.isInteger(blockSize) || blockSize < 1) {
+    alert('Pages per block must be a whole number of 1 or more');
+    return;
+  }
+
+  const originalText = collateBtn.innerHTML;
+  collateBtn.disabled = true;
+  collateBtn.textContent = 'Collating...';
+
+  try {
+    // Missing counterparts become blank pages the size of the page before them. Creating one waits,
+    // so the grid is read again afterwards: the order is built from the pages as they are now.
+    const created = [];
+    let pages;
+    let fronts;
+    let backs;
+    let collated;
+    for (;;) {
+      pages = pageManager.getAllPages();
+      const getFilePages = (fileIndex) => pages.filter(p => !p.synthetic && p.fileIndex === fileIndex);
+      fronts = getFilePages(frontIndex);
+      backs = getFilePages(backIndex);
+      collated = collatePageLists(fronts, backs, {
+        reverse: collateReverse.checked,
+        blockSize,
+        remainder: collateRemainder.value
+      });
+
+      const gaps = collated.map((page, i) => (page ? -1 : i)).filter(i => i !== -1);
+      if (gaps.length <= created.length) break;
+      for (const i of gaps.slice(created.length)) {
+        const neighbour = collated.slice(0, i).reverse().find(Boolean) || collated.slice(i).find(Boolean);
+        const [width, height] = getSyntheticPageSize(neighbour);
+        const spec = { type: 'blank', width, height, text: '' };
+        created.push(pageManager.createPage({
+          canvas: null,
+          pdfPage: await loadSyntheticPreview(spec),
+          originalPageNum: null,
+          rotation: 0,
+          fileName: 'Blank page',
+          fileIndex: null,
+          arrayBuffer: null,
+          synthetic: spec
+        }));
+      }
+    }
+    if (fronts.length === 0 || backs.length === 0) {
+      throw new Error('One of the files no longer has pages in the grid');
+    }
+    let used = 0;
+    collated = collated.map(page => page || created[used++]);
+    const blanks = created.slice(0, used);
+
+    // The collated run takes the place of the first page of either file
+    const involved = new Set([...fronts, ...backs]);
+    const start = pages.findIndex(p => involved.has(p));
+    const order = [...pages.slice(0, start), ...collated, ...pages.slice(start).filter(p => !involved.has(p))];
+    pageManager.setOrder(order, 'Collate pages');
+
+    for (const blank of blanks) {
+      await addPageToGrid(blank);
+    }
+    syncGrid();
+
+    const extra = blanks.length > 0 ? `, ${blanks.length} blank page(s) added` : '';
+    collateSummary.textContent = `Collated ${fronts.length} + ${backs.length} pages${extra}`;
+    console.log(`✓ Collated ${fronts.length} + ${backs.length} pages in blocks of ${blockSize}${extra}`);
+  } catch (error) {
+    console.error('✗ ERROR collating pages:', error);
+    alert(`Error collating pages: ${error.message}`);
+  } finally {
+    collateBtn.disabled = getCollateFileIndices().length < 2;
+    collateBtn.innerHTML = originalText;
+  }
+}
@@ -0,0 +1,157 @@
+// Group by file: headers split the grid into runs of pages from the same source file.
+// A run is consecutive in the page order, so the grid still shows exactly what will be exported;
+// interleaved files simply get more than one header. Inserted pages join the run before them.
+
+const groupByFileToggle = document.getElementById('groupByFileToggle');
+
+const FILE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+let groupByFile = false;
+const collapsedFiles = new Set(); // fileIndex values (null for inserted pages) whose pages are hidden
+const fileGroupHeaders = new Map(); // run key -> header element, reused between syncs
+
+groupByFileToggle.addEventListener('change', () => {
+  groupByFile = groupByFileToggle.checked;
+  pagesGrid.classList.toggle('grouped', groupByFile);
+  syncGrid();
+});
+
+pagesGrid.addEventListener('click', (e) => {
+  const button = e.target.closest('.file-group-header button');
+  if (!button) return;
+  const header = button.closest('.file-group-header');
+  handleFileGroupAction(button.dataset.action, header.dataset.runKey);
+});
+
+function getFileColor(fileIndex) {
+  return fileIndex === null ? '#9ca3af' : FILE_COLORS[fileIndex % FILE_COLORS.length];
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Split the page order into runs: [{ key, fileIndex, start, pages }]
+function getFileRuns(pages) {
+  const runs = [];
+  const seen = new Map(); // fileIndex -> runs so far, numbers repeated runs of a file
+  pages.forEach((page, index) => {
+    const current = runs[runs.length - 1];
+    if (current && (page.synthetic || page.fileIndex === current.fileIndex)) {
+      current.pages.push(page);
+      return;
+    }
+
+    const fileIndex = page.synthetic ? null : page.fileIndex;
+    const part = (seen.get(fileIndex) || 0) + 1;
+    seen.set(fileIndex, part);
+    runs.push({ key: `${fileIndex}:${part}`, fileIndex, start: index, pages: [page] });
+  });
+  return runs;
+}
+
+// Called from syncGrid: every element the grid should contain, in order
+function buildGridSequence(pages) {
+  const elements = [];
+  const runs = groupByFile ? getFileRuns(pages) : [{ key: null, fileIndex: null, pages }];
+
+  runs.forEach(run => {
+    const collapsed = groupByFile && collapsedFiles.has(run.fileIndex);
+    if (groupByFile) {
+      elements.push(updateFileGroupHeader(run, pages, collapsed));
+    }
+
+    run.pages.forEach(page => {
+      const pageDiv = pageCards.get(page.id);
+      if (!pageDiv) return; // Card still being rendered
+      pageDiv.style.setProperty('--file-color', getFileColor(page.synthetic ? null : page.fileIndex));
+      pageDiv.classList.toggle('hidden', collapsed);
+      elements.push(pageDiv);
+    });
+  });
+
+  return elements;
+}
+
+function updateFileGroupHeader(run, pages, collapsed) {
+  let header = fileGroupHeaders.get(run.key);
+  if (!header) {
+    header = document.createElement('div');
+    header.className = 'file-group-header col-span-full flex items-center gap-3 bg-white rounded-lg shadow-sm px-3 py-2 border-l-4';
+    header.dataset.runKey = run.key;
+    header.innerHTML = `
+      <button data-action="toggle" class="text-gray-600 hover:bg-gray-100 w-7 h-7 rounded flex items-center justify-center" aria-expanded="true">
+        <i class="bi bi-chevron-down"></i>
+      </button>
+      <div class="min-w-0 flex-1">
+        <p class="file-group-name text-sm font-medium text-gray-900 truncate"></p>
+        <p class="file-group-info text-xs text-gray-500"></p>
+      </div>
+      <button data-action="select" class="text-sm text-gray-700 hover:bg-gray-100 px-2 py-1 rounded flex items-center gap-1" title="Select every page of this file">
+        <i class="bi bi-check2-square"></i>
+        Select
+      </button>
+      <button data-action="up" class="text-gray-600 hover:bg-gray-100 w-7 h-7 rounded flex items-center justify-center" title="Move block up" aria-label="Move block up">
+        <i class="bi bi-arrow-up"></i>
+      </button>
+      <button data-action="down" class="text-gray-600 hover:bg-gray-100 w-7 h-7 rounded flex items-center justify-center" title="Move block down" aria-label="Move block down">
+        <i class="bi bi-arrow-down"></i>
+      </button>
+      <button data-action="remove" class="text-red-600 hover:bg-red-50 w-7 h-7 rounded flex items-center justify-center" title="Remove this file's pages" aria-label="Remove file">
+        <i class="bi bi-trash"></i>
+      </button>
+    `;
+    fileGroupHeaders.set(run.key, header);
+  }
+
+  const file = run.fileIndex === null ? null : pageManager.originalFiles[run.fileIndex];
+  const filePages = pages.filter(p => !p.synthetic && p.fileIndex === run.fileIndex).length;
+  const end = run.start + run.pages.length;
+  const parts = [`${run.pages.length} page(s)`, run.pages.length === 1 ? `position ${end}` : `positions ${run.start + 1}–${end}`];
+  if (file) {
+    if (filePages !== run.pages.filter(p => !p.synthetic).length) parts[0] += ` of ${filePages}`;
+    parts.unshift(formatFileSize(file.size));
+  }
+
+  header.style.borderLeftColor = getFileColor(run.fileIndex);
+  header.querySelector('.file-group-name').textContent = file ? file.name : 'Inserted pages';
+  header.querySelector('.file-group-info').textContent = parts.join(' · ');
+  header.querySelector('[data-action="toggle"]').setAttribute('aria-expanded', !collapsed);
+  header.querySelector('[data-action="toggle"] i').className = collapsed ? 'bi bi-chevron-right' : 'bi bi-chevron-down';
+  header.querySelector('[data-action="up"]').disabled = run.start === 0;
+  header.querySelector('[data-action="down"]').disabled = end === pages.length;
+  return header;
+}
+
+function handleFileGroupAction(action, runKey) {
+  const pages = pageManager.getAllPages();
+  const runs = getFileRuns(pages);
+  const index = runs.findIndex(run => run.key === runKey);
+  if (index === -1) return;
+
+  const run = runs[index];
+  const ids = run.pages.map(p => p.id);
+  // Select and remove act on the whole file, not just this run
+  const fileIds = run.fileIndex === null
+    ? pages.filter(p => p.synthetic).map(p => p.id)
+    : pages.filter(p => !p.synthetic && p.fileIndex === run.fileIndex).map(p => p.id);
+  const name = run.fileIndex === null ? 'inserted pages' : pageManager.originalFiles[run.fileIndex].name;
+
+  if (action === 'toggle') {
+    if (collapsedFiles.has(run.fileIndex)) collapsedFiles.delete(run.fileIndex);
+    else collapsedFiles.add(run.fileIndex);
+  } else if (action === 'select') {
+    const allSelected = fileIds.every(id => pageManager.getPage(id).selected);
+    pageManager.setSelection(fileIds, !allSelected, allSelected ? `Deselect ${name}` : `Select ${name}`);
+  } else if (action === 'up' && index > 0) {
+    pageManager.movePages(ids, runs[index - 1].start, 'Move file block');
+  } else if (action === 'down' && index < runs.length - 1) {
+    pageManager.movePages(ids, run.start + runs[index + 1].pages.length, 'Move file block');
+  } else if (action === 'remove') {
+    pageManager.setOrder(pages.filter(p => !fileIds.includes(p.id)), `Remove ${name}`);
+    console.log(`✓ Removed ${fileIds.length} page(s) of ${name}`);
+  }
+  syncGrid();
+}
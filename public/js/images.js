@@ -0,0 +1,131 @@
+// Image support: JPG/PNG uploads become PDF pages, and pages can be exported as images
+
+const imageExportOptions = document.getElementById('imageExportOptions');
+const imageFormat = document.getElementById('imageFormat');
+const imageDpi = document.getElementById('imageDpi');
+
+const IMAGE_PAGE_SIZES = {
+  a4: PDFLib.PageSizes.A4,
+  letter: PDFLib.PageSizes.Letter
+};
+const IMAGE_PAGE_MARGIN = 36; // Half an inch around images placed on A4/Letter
+
+exportAsImages.addEventListener('change', () => {
+  imageExportOptions.classList.toggle('hidden', !exportAsImages.checked);
+});
+
+// Wrap an image in a single-page PDF. pageSize is 'fit' (page = image size), 'a4' or 'letter'.
+async function imageToPdfFile(file, pageSize) {
+  console.log(`Converting image "${file.name}" to PDF (${pageSize})...`);
+  const bytes = await file.arrayBuffer();
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  const isPng = new Uint8Array(bytes, 0, 1)[0] === 0x89; // PNG signature, JPEG starts with 0xFF
+  const image = isPng ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+
+  if (pageSize === 'fit' || !IMAGE_PAGE_SIZES[pageSize]) {
+    const page = pdfDoc.addPage([image.width, image.height]);
+    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+  } else {
+    // Follow the image orientation so landscape photos are not shrunk onto a portrait sheet
+    let [width, height] = IMAGE_PAGE_SIZES[pageSize];
+    if (image.width > image.height) {
+      [width, height] = [height, width];
+    }
+
+    const page = pdfDoc.addPage([width, height]);
+    const size = image.scaleToFit(width - IMAGE_PAGE_MARGIN * 2, height - IMAGE_PAGE_MARGIN * 2);
+    page.drawImage(image, {
+      x: (width - size.width) / 2,
+      y: (height - size.height) / 2,
+      width: size.width,
+      height: size.height
+    });
+  }
+
+  pdfDoc.setTitle(file.name);
+  const pdfBytes = await pdfDoc.save();
+  console.log(`✓ Image converted (${image.width}×${image.height}px)`);
+
+  return new File([pdfBytes], file.name.replace(/\.[^.]+$/, '') + '.pdf', { type: 'application/pdf' });
+}
+
+function canvasToBlob(canvas, mimeType, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), mimeType, quality);
+  });
+}
+
+// Handle export as images
+async function handleExportImages(pages) {
+  console.log('=== IMAGE EXPORT STARTED ===');
+  const startTime = performance.now();
+
+  const format = imageFormat.value;
+  const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+  const extension = format === 'jpeg' ? 'jpg' : 'png';
+  const dpi = Math.min(600, Math.max(36, parseInt(imageDpi.value, 10) || 150));
+  const scale = dpi / 72;
+  console.log(`Format: ${format.toUpperCase()}, ${dpi} DPI (scale ${scale.toFixed(2)})`);
+
+  let stampRun;
+  try {
+    stampRun = createStampRun();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  extractBtn.disabled = true;
+  extractBtn.textContent = 'Rendering...';
+
+  try {
+    const { names, zipName } = await planExtractNames(pages, extension);
+    const images = [];
+
+    for (let i = 0; i < pages.length; i++) {
+      const page = pages[i];
+      extractBtn.textContent = `Rendering ${i + 1}/${pages.length}...`;
+
+      try {
+        const canvas = cropCanvas(await renderPage(page.pdfPage, page.rotation, scale), page);
+        await stampCanvas(canvas, page, scale, i + 1, pages.length, stampRun);
+        const blob = await canvasToBlob(canvas, mimeType, 0.92);
+        // Release the large canvas right away, big exports would otherwise pile up
+        canvas.width = 0;
+        canvas.height = 0;
+
+        images.push({ name: names[i], blob });
+
+        if (i % 10 === 0 || i === pages.length - 1) {
+          console.log(`✓ Page ${i + 1}/${pages.length} rendered (${blob.size} bytes)`);
+        }
+      } catch (pageError) {
+        console.error(`✗ ERROR rendering page ${i + 1}:`, pageError);
+        throw new Error(`Failed on page ${i + 1}: ${pageError.message}`);
+      }
+    }
+
+    if (images.length === 1) {
+      downloadFile(images[0].blob, images[0].name, mimeType);
+    } else {
+      console.log('\n=== Generating ZIP file ===');
+      const zip = new JSZip();
+      images.forEach(image => zip.file(image.name, image.blob));
+      const zipBlob = await zip.generateAsync({ type: 'blob' });
+      console.log(`✓ ZIP generated (${zipBlob.size} bytes)`);
+      downloadFile(zipBlob, zipName, 'application/zip');
+    }
+
+    const endTime = performance.now();
+    console.log(`\n=== IMAGE EXPORT COMPLETED SUCCESSFULLY ===`);
+    console.log(`Total time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+  } catch (error) {
+    console.error('\n=== IMAGE EXPORT FAILED ===');
+    console.error('Error details:', error);
+    console.error('Stack trace:', error.stack);
+    alert(`Error exporting images: ${error.message}\n\nCheck console for details.`);
+  } finally {
+    extractBtn.disabled = false;
+    extractBtn.textContent = 'Download Extracted Pages';
+  }
+}
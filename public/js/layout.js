@@ -0,0 +1,128 @@
+// Page layout for Merge: scale every page to one paper size and/or impose 2-up, 4-up or booklet
+// sheets. The work is done by applyPageLayout in pdf-build.js; the preview here draws the first
+// sheets with the same planSheets so what is shown is what gets downloaded.
+
+const pageSizeMode = document.getElementById('pageSizeMode');
+const customPageOptions = document.getElementById('customPageOptions');
+const customPageWidth = document.getElementById('customPageWidth');
+const customPageHeight = document.getElementById('customPageHeight');
+const pageScaleOptions = document.getElementById('pageScaleOptions');
+const pageScaleMode = document.getElementById('pageScaleMode');
+const nUpMode = document.getElementById('nUpMode');
+const layoutPreviewPanel = document.getElementById('layoutPreviewPanel');
+const layoutSummary = document.getElementById('layoutSummary');
+const layoutPreview = document.getElementById('layoutPreview');
+
+const LAYOUT_PAGE_SIZES = {
+  a4: PDFLib.PageSizes.A4,
+  letter: PDFLib.PageSizes.Letter
+};
+const POINTS_PER_MM = 72 / 25.4;
+const LAYOUT_PREVIEW_SHEETS = 4; // Only the first sheets are drawn
+const LAYOUT_PREVIEW_WIDTH = 120; // CSS pixels per preview sheet
+
+let layoutPreviewTimer = null;
+let layoutPreviewToken = 0;
+
+[pageSizeMode, customPageWidth, customPageHeight, pageScaleMode, nUpMode].forEach(input => {
+  input.addEventListener('input', scheduleLayoutPreview);
+  input.addEventListener('change', scheduleLayoutPreview);
+});
+
+// Planned into the Merge job; null keeps the pages as they are. Throws for an unusable custom size.
+function getPageLayout() {
+  const nUp = nUpMode.value === 'booklet' ? 'booklet' : Number(nUpMode.value);
+  let size = null;
+  if (pageSizeMode.value === 'custom') {
+    const width = Number(customPageWidth.value);
+    const height = Number(customPageHeight.value);
+    if (!(width >= 10 && height >= 10 && width <= 5000 && height <= 5000)) {
+      throw new Error('Enter a custom page size between 10 and 5000 mm.');
+    }
+    size = [width * POINTS_PER_MM, height * POINTS_PER_MM];
+  } else if (LAYOUT_PAGE_SIZES[pageSizeMode.value]) {
+    size = [...LAYOUT_PAGE_SIZES[pageSizeMode.value]];
+  }
+
+  if (!size && nUp === 1) return null;
+  return { size, scale: pageScaleMode.value, nUp };
+}
+
+function scheduleLayoutPreview() {
+  clearTimeout(layoutPreviewTimer);
+  layoutPreviewTimer = setTimeout(updateLayoutPreview, 150);
+}
+
+// Draw a page into a preview cell, from its thumbnail when it is on screen
+async function getLayoutPreviewSource(page, scale) {
+  const pageDiv = pageCards.get(page.id);
+  if (page.canvas && pageDiv && pageDiv.dataset.renderKey === getPageRenderKey(page)) return page.canvas;
+  return cropCanvas(await renderPage(page.pdfPage, page.rotation, scale), page);
+}
+
+async function updateLayoutPreview() {
+  customPageOptions.classList.toggle('hidden', pageSizeMode.value !== 'custom');
+
+  let layout;
+  try {
+    layout = getPageLayout();
+  } catch (error) {
+    layout = null;
+  }
+  pageScaleOptions.classList.toggle('hidden', !layout);
+
+  const selected = pageManager.getSelectedPages();
+  const pages = selected.length > 0 ? selected : pageManager.getAllPages();
+  const token = ++layoutPreviewToken;
+  if (!layout || pages.length === 0) {
+    layoutPreviewPanel.classList.add('hidden');
+    layoutPreview.innerHTML = '';
+    return;
+  }
+
+  const sizes = pages.map(getDisplayedPageSize);
+  const sheets = planSheets(sizes, layout);
+  const shown = sheets.slice(0, LAYOUT_PREVIEW_SHEETS);
+  const canvases = [];
+
+  for (const sheet of shown) {
+    const scale = LAYOUT_PREVIEW_WIDTH / Math.max(sheet.width, sheet.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(sheet.width * scale);
+    canvas.height = Math.round(sheet.height * scale);
+    canvas.className = 'bg-white shadow border border-gray-200';
+    const context = canvas.getContext('2d');
+
+    for (const cell of sheet.cells) {
+      // PDF space has its origin bottom left, the canvas top left
+      const cellTop = (sheet.height - cell.y - cell.height) * scale;
+      context.strokeStyle = '#e5e7eb';
+      context.strokeRect(cell.x * scale, cellTop, cell.width * scale, cell.height * scale);
+      if (cell.index === null) continue;
+
+      const placed = fitPageInCell(sizes[cell.index], cell, layout.scale);
+      const page = pages[cell.index];
+      const source = await getLayoutPreviewSource(page, placed.scale * scale);
+      if (token !== layoutPreviewToken) return;
+
+      context.save();
+      context.beginPath();
+      context.rect(cell.x * scale, cellTop, cell.width * scale, cell.height * scale);
+      context.clip();
+      context.drawImage(source, placed.x * scale, (sheet.height - placed.y - placed.height) * scale,
+        placed.width * scale, placed.height * scale);
+      context.restore();
+      if (source !== page.canvas) {
+        source.width = 0;
+        source.height = 0;
+      }
+    }
+    canvases.push(canvas);
+  }
+
+  layoutPreview.innerHTML = '';
+  canvases.forEach(canvas => layoutPreview.appendChild(canvas));
+  const more = sheets.length > shown.length ? ` (first ${shown.length} shown)` : '';
+  layoutSummary.textContent = `${pages.length} page(s) on ${sheets.length} sheet(s)${more}`;
+  layoutPreviewPanel.classList.remove('hidden');
+}
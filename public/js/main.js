@@ -22,32 +22,189 @@ window.debugInfo = function () {
   console.log('===================\n');
 };
 
+// Command history for undo/redo
+// Every mutation of the page list is recorded as a command with apply/revert
+// closures, so the same object can be undone and redone any number of times.
+class CommandHistory {
+  constructor(limit = 500) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.limit = limit;
+    this.transaction = null;
+  }
+
+  execute(command) {
+    command.apply();
+    if (this.transaction) {
+      this.transaction.commands.push(command);
+    } else {
+      this.push(command);
+    }
+  }
+
+  push(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  // Group several commands into a single undo step
+  begin(label) {
+    if (!this.transaction) {
+      this.transaction = { label, commands: [], depth: 0 };
+    }
+    this.transaction.depth++;
+  }
+
+  commit() {
+    const transaction = this.transaction;
+    if (!transaction || --transaction.depth > 0) return;
+    this.transaction = null;
+    if (transaction.commands.length === 0) return;
+
+    const commands = transaction.commands;
+    this.push({
+      label: transaction.label,
+      apply: () => commands.forEach(c => c.apply()),
+      revert: () => [...commands].reverse().forEach(c => c.revert())
+    });
+  }
+
+  // Take back what the open transaction did so far and close it, for work that failed halfway.
+  // Closes enclosing transactions too, their commands are reverted with it.
+  rollback() {
+    const transaction = this.transaction;
+    if (!transaction) return;
+    this.transaction = null;
+    [...transaction.commands].reverse().forEach(c => c.revert());
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    command.revert();
+    this.redoStack.push(command);
+    console.log(`↶ Undo: ${command.label}`);
+    return command;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    command.apply();
+    this.undoStack.push(command);
+    console.log(`↷ Redo: ${command.label}`);
+    return command;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transaction = null;
+  }
+}
+
+// Raised when the user dismisses the password prompt of an encrypted file
+class PasswordCancelledError extends Error {
+  constructor(fileName) {
+    super(`No password entered for "${fileName}"`);
+    this.name = 'PasswordCancelledError';
+  }
+}
+
 // Page Manager Object
 class PDFPageManager {
   constructor() {
     this.pages = [];
     this.nextId = 1;
     this.originalFiles = [];
+    this.filePasswords = new Map(); // fileIndex -> password entered when the file was opened
+    this.history = new CommandHistory();
   }
 
-  addPage(pageData) {
-    const page = {
+  setFilePassword(fileIndex, password) {
+    this.filePasswords.set(fileIndex, password);
+  }
+
+  // Encrypted files without a stored password may still open with an empty user password
+  getFilePassword(fileIndex) {
+    return this.filePasswords.has(fileIndex) ? this.filePasswords.get(fileIndex) : '';
+  }
+
+  createPage(pageData) {
+    return {
       id: this.nextId++,
       canvas: pageData.canvas,
       pdfPage: pageData.pdfPage,
       originalPageNum: pageData.originalPageNum,
       rotation: pageData.rotation || 0,
+      crop: pageData.crop || null, // { left, top, right, bottom } insets as fractions of the unrotated page
       selected: false,
       fileName: pageData.fileName,
       fileIndex: pageData.fileIndex,
-      arrayBuffer: pageData.arrayBuffer
+      arrayBuffer: pageData.arrayBuffer,
+      synthetic: pageData.synthetic || null // { type, width, height, text } for generated pages
     };
+  }
+
+  addPage(pageData) {
+    return this.insertPage(pageData, this.pages.length);
+  }
+
+  // Add a page of a file that is loading. load is { label, pages } and collects its pages; the load
+  // is one undo step, recorded with its first page. Later pages join that step, so edits made while
+  // the file streams in are undo steps of their own after it.
+  appendPage(pageData, load) {
+    const page = this.createPage(pageData);
     this.pages.push(page);
+    load.pages.push(page);
+    if (load.pages.length === 1) this.recordLoad(load);
+    return page;
+  }
+
+  // Undo takes out whichever pages of the load are there, redo puts those back where they were
+  recordLoad(load) {
+    let positions = [];
+    this.history.push({
+      label: load.label,
+      apply: () => positions.forEach(([page, index]) => this.pages.splice(index, 0, page)),
+      revert: () => {
+        const added = new Set(load.pages);
+        positions = this.pages.map((page, index) => [page, index]).filter(([page]) => added.has(page));
+        this.pages = this.pages.filter(page => !added.has(page));
+      }
+    });
+  }
+
+  insertPage(pageData, index) {
+    const page = this.createPage(pageData);
+    this.history.execute({
+      label: 'Insert page',
+      apply: () => this.pages.splice(index, 0, page),
+      revert: () => this.pages.splice(this.pages.indexOf(page), 1)
+    });
     return page;
   }
 
   removePage(id) {
-    this.pages = this.pages.filter(p => p.id !== id);
+    const index = this.pages.findIndex(p => p.id === id);
+    if (index === -1) return;
+    const page = this.pages[index];
+    this.history.execute({
+      label: 'Delete page',
+      apply: () => this.pages.splice(index, 1),
+      revert: () => this.pages.splice(index, 0, page)
+    });
   }
 
   getPage(id) {
@@ -57,19 +214,77 @@ class PDFPageManager {
   rotatePage(id, degrees) {
     const page = this.getPage(id);
     if (page) {
-      page.rotation = (page.rotation + degrees) % 360;
+      const previous = page.rotation;
+      this.history.execute({
+        label: 'Rotate page',
+        apply: () => page.rotation = (((previous + degrees) % 360) + 360) % 360,
+        revert: () => page.rotation = previous
+      });
+    }
+  }
+
+  // crop: insets as fractions of the unrotated page, or null to show the whole page
+  setPageCrop(id, crop) {
+    const page = this.getPage(id);
+    if (page) {
+      const previous = page.crop;
+      this.history.execute({
+        label: crop ? 'Crop page' : 'Reset crop',
+        apply: () => page.crop = crop,
+        revert: () => page.crop = previous
+      });
     }
   }
 
   toggleSelection(id) {
     const page = this.getPage(id);
     if (page) {
-      page.selected = !page.selected;
+      this.history.execute({
+        label: page.selected ? 'Deselect page' : 'Select page',
+        apply: () => page.selected = !page.selected,
+        revert: () => page.selected = !page.selected
+      });
     }
   }
 
   selectAll(selected) {
-    this.pages.forEach(p => p.selected = selected);
+    this.setSelection(this.pages.map(p => p.id), selected, selected ? 'Select all' : 'Deselect all');
+  }
+
+  // Set the selected state of several pages as one undo step
+  setSelection(ids, selected, label = 'Change selection') {
+    const previous = new Map();
+    ids.forEach(id => {
+      const page = this.getPage(id);
+      if (page && page.selected !== selected) previous.set(page, page.selected);
+    });
+    if (previous.size === 0) return;
+
+    this.history.execute({
+      label,
+      apply: () => previous.forEach((_, page) => page.selected = selected),
+      revert: () => previous.forEach((wasSelected, page) => page.selected = wasSelected)
+    });
+  }
+
+  // Select exactly the given pages and deselect every other one
+  selectOnly(ids, label = 'Change selection') {
+    const wanted = new Set(ids);
+    const previous = new Map();
+    this.pages.forEach(page => {
+      if (page.selected !== wanted.has(page.id)) previous.set(page, page.selected);
+    });
+    if (previous.size === 0) return;
+
+    this.history.execute({
+      label,
+      apply: () => previous.forEach((wasSelected, page) => page.selected = !wasSelected),
+      revert: () => previous.forEach((wasSelected, page) => page.selected = wasSelected)
+    });
+  }
+
+  invertSelection() {
+    this.selectOnly(this.pages.filter(p => !p.selected).map(p => p.id), 'Invert selection');
   }
 
   getSelectedPages() {
@@ -81,21 +296,131 @@ class PDFPageManager {
   }
 
   reorderPages(oldIndex, newIndex) {
-    const [movedPage] = this.pages.splice(oldIndex, 1);
-    this.pages.splice(newIndex, 0, movedPage);
+    if (oldIndex === newIndex) return;
+    this.history.execute({
+      label: 'Move page',
+      apply: () => {
+        const [movedPage] = this.pages.splice(oldIndex, 1);
+        this.pages.splice(newIndex, 0, movedPage);
+      },
+      revert: () => {
+        const [movedPage] = this.pages.splice(newIndex, 1);
+        this.pages.splice(oldIndex, 0, movedPage);
+      }
+    });
+  }
+
+  // Replace the page order as one undo step; the bulk actions below are built on this. Pages of a
+  // file that was still loading arrive after the step and stay at the end on undo and redo.
+  setOrder(pages, label) {
+    const previousPages = this.pages;
+    const known = new Set([...previousPages, ...pages]);
+    const withArrived = order => [...order, ...this.pages.filter(page => !known.has(page))];
+    this.history.execute({
+      label,
+      apply: () => this.pages = withArrived(pages),
+      revert: () => this.pages = withArrived(previousPages)
+    });
+  }
+
+  // Move several pages, keeping their relative order, so the first one lands at index
+  // (an index into the pages that are not moved)
+  movePages(ids, index, label = 'Move pages') {
+    const moving = new Set(ids);
+    const moved = this.pages.filter(p => moving.has(p.id));
+    const rest = this.pages.filter(p => !moving.has(p.id));
+    const at = Math.min(Math.max(index, 0), rest.length);
+    const pages = [...rest.slice(0, at), ...moved, ...rest.slice(at)];
+    if (pages.every((page, i) => page === this.pages[i])) return;
+    this.setOrder(pages, label);
+  }
+
+  removePages(ids) {
+    const removing = new Set(ids);
+    this.setOrder(this.pages.filter(p => !removing.has(p.id)), ids.length === 1 ? 'Delete page' : 'Delete pages');
+  }
+
+  // Put the given pages in reverse order, each taking the position of its counterpart
+  reversePages(ids) {
+    const reversing = new Set(ids);
+    const reversed = this.pages.filter(p => reversing.has(p.id)).reverse();
+    this.setOrder(this.pages.map(p => (reversing.has(p.id) ? reversed.shift() : p)), 'Reverse pages');
+  }
+
+  // Insert a copy right after each page; returns the copies
+  duplicatePages(ids) {
+    const duplicating = new Set(ids);
+    const copies = [];
+    const pages = [];
+    this.pages.forEach(page => {
+      pages.push(page);
+      if (duplicating.has(page.id)) {
+        const copy = this.createPage({ ...page, canvas: null });
+        copies.push(copy);
+        pages.push(copy);
+      }
+    });
+    this.setOrder(pages, copies.length === 1 ? 'Duplicate page' : 'Duplicate pages');
+    return copies;
+  }
+
+  rotatePages(ids, degrees) {
+    const previous = new Map();
+    ids.forEach(id => {
+      const page = this.getPage(id);
+      if (page) previous.set(page, page.rotation);
+    });
+    if (previous.size === 0) return;
+
+    this.history.execute({
+      label: previous.size === 1 ? 'Rotate page' : 'Rotate pages',
+      apply: () => previous.forEach((rotation, page) => page.rotation = (((rotation + degrees) % 360) + 360) % 360),
+      revert: () => previous.forEach((rotation, page) => page.rotation = rotation)
+    });
   }
 
   clear() {
+    const previousPages = this.pages;
+    const previousFiles = this.originalFiles;
+    const previousPasswords = this.filePasswords;
+    this.history.execute({
+      label: 'Clear all',
+      apply: () => {
+        this.pages = [];
+        this.originalFiles = [];
+        this.filePasswords = new Map();
+      },
+      revert: () => {
+        this.pages = previousPages;
+        this.originalFiles = previousFiles;
+        this.filePasswords = previousPasswords;
+      }
+    });
+  }
+
+  // Start over without an undo step (e.g. when switching sessions)
+  reset() {
     this.pages = [];
     this.originalFiles = [];
-    this.nextId = 1;
+    this.filePasswords = new Map();
+    this.history.clear();
+  }
+
+  undo() {
+    return this.history.undo();
+  }
+
+  redo() {
+    return this.history.redo();
   }
 }
 
 // Global instances
 const pageManager = new PDFPageManager();
+const pageCards = new Map(); // page id -> card element (kept after delete so undo can restore it)
+let selectionAnchorId = null; // Last clicked checkbox, start point for shift-click ranges
 let draggedElement = null;
-let draggedIndex = null;
+let draggedIds = []; // Every page moved by the current drag (the whole selection when a selected card is dragged)
 
 // DOM Elements
 const uploadZone = document.getElementById('uploadZone');
@@ -104,26 +429,54 @@ const fileInput = document.getElementById('fileInput');
 const uploadBtn = document.getElementById('uploadBtn');
 const browseBtn = document.getElementById('browseBtn');
 const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
 const mergeTab = document.getElementById('mergeTab');
 const extractTab = document.getElementById('extractTab');
 const mergeContent = document.getElementById('mergeContent');
 const extractContent = document.getElementById('extractContent');
+const splitTab = document.getElementById('splitTab');
+const splitContent = document.getElementById('splitContent');
 const mergeBtn = document.getElementById('mergeBtn');
 const extractBtn = document.getElementById('extractBtn');
 const mergeFilename = document.getElementById('mergeFilename');
+const keepStructure = document.getElementById('keepStructure');
+const groupBookmarksByFile = document.getElementById('groupBookmarksByFile');
 const extractFilename = document.getElementById('extractFilename');
 const mergeSinglePdf = document.getElementById('mergeSinglePdf');
+const exportAsImages = document.getElementById('exportAsImages');
+const imagePageSize = document.getElementById('imagePageSize');
+const passwordModal = document.getElementById('passwordModal');
+const passwordForm = document.getElementById('passwordForm');
+const passwordMessage = document.getElementById('passwordMessage');
+const passwordInput = document.getElementById('passwordInput');
+const passwordCancelBtn = document.getElementById('passwordCancelBtn');
 const totalPagesSpan = document.getElementById('totalPages');
 const selectedPagesSpan = document.getElementById('selectedPages');
 
+const sidebarTabs = {
+  merge: { button: mergeTab, content: mergeContent },
+  extract: { button: extractTab, content: extractContent },
+  split: { button: splitTab, content: splitContent }
+};
+
 // Event Listeners
 uploadBtn.addEventListener('click', () => fileInput.click());
 browseBtn.addEventListener('click', () => fileInput.click());
 fileInput.addEventListener('change', handleFileSelect);
 selectAllCheckbox.addEventListener('change', handleSelectAll);
+undoBtn.addEventListener('click', handleUndo);
+redoBtn.addEventListener('click', handleRedo);
+document.addEventListener('keydown', handleHistoryShortcut);
 mergeTab.addEventListener('click', () => switchTab('merge'));
 extractTab.addEventListener('click', () => switchTab('extract'));
+splitTab.addEventListener('click', () => switchTab('split'));
 mergeBtn.addEventListener('click', handleMerge);
+document.querySelectorAll('.encrypt-toggle').forEach(toggle => {
+  toggle.addEventListener('change', () => {
+    document.getElementById(toggle.dataset.options).classList.toggle('hidden', !toggle.checked);
+  });
+});
 extractBtn.addEventListener('click', handleExtract);
 
 // Drag and drop for upload zone
@@ -150,55 +503,40 @@ function handleFileSelect(e) {
   fileInput.value = ''; // Reset input
 }
 
-// Process uploaded files
-async function processFiles(files) {
+// Process uploaded files: each one goes through the upload queue (see uploads.js),
+// resolves once every queued file has been loaded or has failed
+function processFiles(files) {
   console.log('=== PROCESSING FILES ===');
   console.log(`Number of files: ${files.length}`);
+  if (files.length === 0) return Promise.resolve();
+  return queueUploads(files);
+}
 
-  // Validate all files are PDFs
-  const invalidFiles = files.filter(f => !f.type.includes('pdf'));
-  if (invalidFiles.length > 0) {
-    console.error('Invalid files detected:', invalidFiles);
-    alert('Error: Please upload only PDF files.');
-    return;
-  }
-
-  if (files.length === 0) return;
-
-  // Set default filename to first file's name
-  const firstName = files[0].name.replace('.pdf', '');
-  mergeFilename.value = firstName;
-  extractFilename.value = firstName;
+// Open a file with pdf.js, asking for its password; resolves with { pdf, arrayBuffer } for
+// addPdfPages. Throws when pdf.js cannot read the file, before anything is added.
+async function openPDF(file, fileIndex) {
+  console.log('Reading file as array buffer...');
+  const arrayBuffer = await file.arrayBuffer();
+  console.log(`✓ Array buffer created (${arrayBuffer.byteLength} bytes)`);
 
-  // Hide upload zone, show grid
-  uploadZone.classList.add('hidden');
-  pagesGrid.classList.remove('hidden');
+  console.log('Loading PDF document...');
+  const pdf = await openPdfWithPassword(file, fileIndex, arrayBuffer);
+  console.log(`✓ PDF loaded: ${pdf.numPages} pages`);
 
-  // Process each PDF
-  for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
-    const file = files[fileIndex];
-    console.log(`\n--- Processing file ${fileIndex + 1}/${files.length}: ${file.name} (${(file.size / 1048576).toFixed(2)} MB) ---`);
-    pageManager.originalFiles.push(file);
-    await loadPDF(file, fileIndex);
+  if (fileIndex === 0) {
+    await prefillDocumentProperties(pdf);
   }
-
-  console.log('=== ALL FILES PROCESSED ===');
-  updateStats();
+  return { pdf, arrayBuffer };
 }
 
-// Load PDF and render pages
-async function loadPDF(file, fileIndex) {
+// Add every page of a file opened by openPDF to the grid, resolves with the number of pages added.
+// Each card appears as soon as its page is read, so work can start on big files right away; when a
+// page cannot be read the ones before it stay. load is the { label, pages } undo step of
+// PDFPageManager.appendPage.
+async function addPdfPages(file, fileIndex, { pdf, arrayBuffer }, load) {
   const fileStartTime = performance.now();
 
   try {
-    console.log('Reading file as array buffer...');
-    const arrayBuffer = await file.arrayBuffer();
-    console.log(`✓ Array buffer created (${arrayBuffer.byteLength} bytes)`);
-
-    console.log('Loading PDF document...');
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    console.log(`✓ PDF loaded: ${pdf.numPages} pages`);
-
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
       const pageStartTime = performance.now();
 
@@ -206,11 +544,9 @@ async function loadPDF(file, fileIndex) {
         console.log(`Loading page ${pageNum}/${pdf.numPages}...`);
       }
 
-      const page = await pdf.getPage(pageNum);
-
       const pageData = {
         canvas: null,
-        pdfPage: page,
+        pdfPage: await pdf.getPage(pageNum),
         originalPageNum: pageNum,
         rotation: 0,
         fileName: file.name,
@@ -218,12 +554,12 @@ async function loadPDF(file, fileIndex) {
         arrayBuffer: arrayBuffer
       };
 
-      const pageObj = pageManager.addPage(pageData);
+      const pageObj = pageManager.appendPage(pageData, load);
       await addPageToGrid(pageObj);
 
       const pageEndTime = performance.now();
       if (pageNum % 10 === 0 || pageNum === 1 || pageNum === pdf.numPages) {
-        console.log(`✓ Page ${pageNum} rendered in ${(pageEndTime - pageStartTime).toFixed(2)}ms`);
+        console.log(`✓ Page ${pageNum} added in ${(pageEndTime - pageStartTime).toFixed(2)}ms`);
       }
 
       // Check memory every 25 pages
@@ -234,6 +570,7 @@ async function loadPDF(file, fileIndex) {
 
     const fileEndTime = performance.now();
     console.log(`✓ File "${file.name}" completed in ${((fileEndTime - fileStartTime) / 1000).toFixed(2)}s`);
+    return pdf.numPages;
   } catch (error) {
     console.error(`✗ ERROR loading PDF "${file.name}":`, error);
     console.error('Stack trace:', error.stack);
@@ -241,9 +578,68 @@ async function loadPDF(file, fileIndex) {
   }
 }
 
+// Open a PDF with pdf.js, asking for a password whenever pdf.js reports one is needed.
+// The accepted password is remembered for the pdf-lib export stage.
+function openPdfWithPassword(file, fileIndex, data) {
+  return new Promise((resolve, reject) => {
+    const loadingTask = pdfjsLib.getDocument({ data });
+    let enteredPassword = null;
+
+    loadingTask.onPassword = async (updatePassword, reason) => {
+      const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+      console.log(incorrect ? '✗ Incorrect password' : `"${file.name}" is password protected`);
+
+      const password = await askPassword(file.name, incorrect);
+      if (password === null) {
+        loadingTask.destroy();
+        reject(new PasswordCancelledError(file.name));
+        return;
+      }
+      enteredPassword = password;
+      updatePassword(password);
+    };
+
+    loadingTask.promise.then(pdf => {
+      if (enteredPassword !== null) {
+        pageManager.setFilePassword(fileIndex, enteredPassword);
+        console.log('✓ Password accepted');
+      }
+      resolve(pdf);
+    }, reject);
+  });
+}
+
+// Show the password dialog; resolves with the password or null when cancelled
+function askPassword(fileName, incorrect) {
+  passwordMessage.textContent = incorrect
+    ? `Incorrect password for "${fileName}". Please try again.`
+    : `"${fileName}" is password protected. Enter the password to open it.`;
+  passwordMessage.classList.toggle('text-red-600', incorrect);
+  passwordInput.value = '';
+  passwordModal.classList.remove('hidden');
+  passwordInput.focus();
+
+  return new Promise(resolve => {
+    const close = (value) => {
+      passwordModal.classList.add('hidden');
+      passwordForm.removeEventListener('submit', onSubmit);
+      passwordCancelBtn.removeEventListener('click', onCancel);
+      resolve(value);
+    };
+    const onSubmit = (e) => {
+      e.preventDefault();
+      close(passwordInput.value);
+    };
+    const onCancel = () => close(null);
+
+    passwordForm.addEventListener('submit', onSubmit);
+    passwordCancelBtn.addEventListener('click', onCancel);
+  });
+}
+
 // Render PDF page to canvas
-async function renderPage(pdfPage, rotation) {
-  const viewport = pdfPage.getViewport({ scale: 0.5, rotation });
+async function renderPage(pdfPage, rotation, scale = 0.5) {
+  const viewport = pdfPage.getViewport({ scale, rotation });
   const canvas = document.createElement('canvas');
   const context = canvas.getContext('2d');
 
@@ -289,39 +685,49 @@ async function addPageToGrid(pageObj) {
   const checkboxContainer = document.createElement('div');
   checkboxContainer.className = 'absolute top-5 right-5 z-10';
   checkboxContainer.innerHTML = `
-    <input type="checkbox" class="page-checkbox w-5 h-5 text-blue-600 rounded cursor-pointer" 
+    <input type="checkbox" class="page-checkbox w-5 h-5 text-blue-600 rounded cursor-pointer" tabindex="-1" aria-label="Select page"
         ${pageObj.selected ? 'checked' : ''}>
   `;
 
+  // Grip (top left) for reordering by touch, see navigation.js
+  const dragHandle = document.createElement('div');
+  dragHandle.className = 'drag-handle absolute top-5 left-5 z-10 bg-white rounded shadow text-gray-600 w-7 h-7 flex items-center justify-center';
+  dragHandle.setAttribute('aria-hidden', 'true');
+  dragHandle.innerHTML = '<i class="bi bi-grip-vertical"></i>';
+
   // Canvas container
   const canvasContainer = document.createElement('div');
   canvasContainer.className = 'p-2 flex items-center justify-center bg-gray-100';
   canvasContainer.style.minHeight = '120px';
 
   const canvasWrapper = document.createElement('div');
+  canvasWrapper.className = 'page-canvas';
   canvasWrapper.style.maxWidth = '100%';
   canvasWrapper.style.height = 'auto';
 
-  // Render the page
-  const canvas = await renderPage(pageObj.pdfPage, pageObj.rotation);
-  pageObj.canvas = canvas;
-  canvasWrapper.appendChild(canvas);
+  // The thumbnail itself is rendered once the card scrolls into view
+  pageDiv.dataset.renderKey = getPageRenderKey(pageObj);
+  setThumbnailPlaceholder(pageObj, canvasWrapper);
   canvasContainer.appendChild(canvasWrapper);
 
-  // Bottom controls (rotate and delete)
+  // Bottom controls (insert, rotate and delete)
   const bottomControls = document.createElement('div');
   bottomControls.className = 'page-controls absolute bottom-5 left-1/2 transform -translate-x-1/2 flex gap-2';
   bottomControls.innerHTML = `
-    <button class="rotate-btn bg-white hover:bg-gray-100 p-2 rounded-full shadow text-gray-700 w-7 h-7 flex items-center justify-center">
+    <button class="insert-btn bg-white hover:bg-gray-100 p-2 rounded-full shadow text-gray-700 w-7 h-7 flex items-center justify-center" title="Insert page" aria-label="Insert page" tabindex="-1">
+        <i class="bi bi-plus-lg"></i>
+    </button>
+    <button class="rotate-btn bg-white hover:bg-gray-100 p-2 rounded-full shadow text-gray-700 w-7 h-7 flex items-center justify-center" title="Rotate (R)" aria-label="Rotate page" tabindex="-1">
         <i class="bi bi-arrow-clockwise"></i>
     </button>
-    <button class="delete-btn bg-red-500 hover:bg-red-600 p-2 rounded-full shadow text-white w-7 h-7 flex items-center justify-center">
+    <button class="delete-btn bg-red-500 hover:bg-red-600 p-2 rounded-full shadow text-white w-7 h-7 flex items-center justify-center" title="Delete (Del)" aria-label="Delete page" tabindex="-1">
         <i class="bi bi-trash"></i>
     </button>
   `;
 
   container.appendChild(pageNumberBadge);
   container.appendChild(checkboxContainer);
+  container.appendChild(dragHandle);
   container.appendChild(canvasContainer);
   container.appendChild(bottomControls);
   pageDiv.appendChild(container);
@@ -330,30 +736,28 @@ async function addPageToGrid(pageObj) {
   const checkbox = pageDiv.querySelector('.page-checkbox');
   const rotateBtn = pageDiv.querySelector('.rotate-btn');
   const deleteBtn = pageDiv.querySelector('.delete-btn');
+  const insertBtn = pageDiv.querySelector('.insert-btn');
 
-  checkbox.addEventListener('change', (e) => {
+  checkbox.addEventListener('click', (e) => {
     e.stopPropagation();
-    pageManager.toggleSelection(pageObj.id);
-    pageDiv.classList.toggle('selected', pageManager.getPage(pageObj.id).selected);
-    updateStats();
+    handlePageCheckboxClick(pageObj.id, e.shiftKey, checkbox.checked);
   });
 
-  rotateBtn.addEventListener('click', async (e) => {
+  rotateBtn.addEventListener('click', (e) => {
     e.stopPropagation();
     pageManager.rotatePage(pageObj.id, 90);
-    const page = pageManager.getPage(pageObj.id);
-    const newCanvas = await renderPage(page.pdfPage, page.rotation);
-    page.canvas = newCanvas;
-    canvasWrapper.innerHTML = '';
-    canvasWrapper.appendChild(newCanvas);
+    syncGrid();
+  });
+
+  insertBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openInsertMenu(pageObj.id, insertBtn);
   });
 
   deleteBtn.addEventListener('click', (e) => {
     e.stopPropagation();
     pageManager.removePage(pageObj.id);
-    pageDiv.remove();
-    updatePageNumbers();
-    updateStats();
+    syncGrid();
   });
 
   // Drag and drop for reordering
@@ -362,17 +766,85 @@ async function addPageToGrid(pageObj) {
   pageDiv.addEventListener('drop', handleDrop);
   pageDiv.addEventListener('dragend', handleDragEnd);
 
-  // Find the grid container within pagesGrid (last element with 'grid' class)
+  pageCards.set(pageObj.id, pageDiv);
+  requestGridSync();
+  observeThumbnail(pageDiv);
+}
+
+// Bring the grid in line with the page manager state (order, selection, rotation, crop)
+function syncGrid() {
   const gridContainer = pagesGrid.querySelector('[class*="grid-cols"]') || pagesGrid;
-  gridContainer.appendChild(pageDiv);
+  const pages = pageManager.getAllPages();
+
+  // Show the upload zone again once every page is gone (e.g. after undoing a load)
+  uploadZone.classList.toggle('hidden', pages.length > 0);
+  pagesGrid.classList.toggle('hidden', pages.length === 0);
+
+  // Cards in page order, with file headers in between when grouped by file (see groups.js)
+  const elements = buildGridSequence(pages);
+  let expected = gridContainer.firstElementChild;
+  elements.forEach(element => {
+    if (element !== expected) {
+      gridContainer.insertBefore(element, expected);
+    } else {
+      expected = expected.nextElementSibling;
+    }
+  });
+
+  pages.forEach((page, index) => {
+    const pageDiv = pageCards.get(page.id);
+    if (!pageDiv) return; // Card still being rendered
+
+    const badge = pageDiv.querySelector('.page-number-badge');
+    if (badge.textContent !== String(index + 1)) {
+      badge.textContent = index + 1;
+    }
+    pageDiv.classList.toggle('selected', page.selected);
+    pageDiv.querySelector('.page-checkbox').checked = page.selected;
+    describePageCard(pageDiv, page, index, pages.length);
+
+    if (pageDiv.dataset.renderKey !== getPageRenderKey(page)) {
+      refreshPageCanvas(page, pageDiv);
+    }
+  });
+
+  updateGridFocus(pages);
+
+  // Detach cards of removed pages (kept in pageCards for undo) and headers of empty groups
+  const wanted = new Set(elements);
+  Array.from(gridContainer.children).forEach(el => {
+    if (!wanted.has(el)) {
+      el.remove();
+    }
+  });
+
+  updateStats();
+  scheduleStampPreview();
+  scheduleLayoutPreview();
+  scheduleSessionSave();
+  syncViewer();
+  updatePageFlags();
+  updateSearchHighlights();
+  updateCollateFiles();
+  scheduleNamePreview();
+}
+
+// Coalesce syncs while a large file streams in cards, syncing per card is quadratic
+let gridSyncPending = false;
+function requestGridSync() {
+  if (gridSyncPending) return;
+  gridSyncPending = true;
+  requestAnimationFrame(() => {
+    gridSyncPending = false;
+    syncGrid();
+  });
 }
 
 // Drag and drop handlers
 function handleDragStart(e) {
   draggedElement = e.currentTarget;
-  const gridContainer = pagesGrid.querySelector('[class*="grid-cols"]') || pagesGrid;
-  draggedIndex = Array.from(gridContainer.children).indexOf(draggedElement);
-  e.currentTarget.classList.add('dragging');
+  draggedIds = getDraggedPageIds(Number(draggedElement.dataset.pageId));
+  draggedIds.forEach(id => pageCards.get(id).classList.add('dragging'));
 }
 
 function handleDragOver(e) {
@@ -382,73 +854,100 @@ function handleDragOver(e) {
 function handleDrop(e) {
   e.preventDefault();
   const dropTarget = e.currentTarget;
-  const gridContainer = pagesGrid.querySelector('[class*="grid-cols"]') || pagesGrid;
-  const dropIndex = Array.from(gridContainer.children).indexOf(dropTarget);
 
+  // Positions come from the page ids, the grid may also hold file headers
   if (draggedElement && draggedElement !== dropTarget) {
-    pageManager.reorderPages(draggedIndex, dropIndex);
-
-    if (draggedIndex < dropIndex) {
-      dropTarget.after(draggedElement);
-    } else {
-      dropTarget.before(draggedElement);
-    }
-
-    updatePageNumbers();
+    dropPagesOnCard(draggedIds, Number(dropTarget.dataset.pageId));
+    syncGrid();
   }
 }
 
 function handleDragEnd(e) {
+  draggedIds.forEach(id => pageCards.get(id).classList.remove('dragging'));
   e.currentTarget.classList.remove('dragging');
   draggedElement = null;
-  draggedIndex = null;
+  draggedIds = [];
 }
 
-// Update page numbers
-function updatePageNumbers() {
-  const gridContainer = pagesGrid.querySelector('[class*="grid-cols"]') || pagesGrid;
-  const pageElements = gridContainer.querySelectorAll('.pdf-page');
-  pageElements.forEach((el, index) => {
-    const pageNumBadge = el.querySelector('.page-number-badge');
-    pageNumBadge.textContent = index + 1;
-  });
+// Toggle a page, or with Shift apply the clicked state to the whole range from the last click
+function handlePageCheckboxClick(pageId, shiftKey, checked) {
+  const pages = pageManager.getAllPages();
+  const anchorIndex = pages.findIndex(p => p.id === selectionAnchorId);
+  const index = pages.findIndex(p => p.id === pageId);
+
+  if (shiftKey && anchorIndex !== -1) {
+    const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+    const ids = pages.slice(from, to + 1).map(p => p.id);
+    pageManager.setSelection(ids, checked, checked ? 'Select range' : 'Deselect range');
+  } else {
+    pageManager.toggleSelection(pageId);
+  }
+
+  selectionAnchorId = pageId;
+  syncGrid();
 }
 
 // Handle select all
 function handleSelectAll(e) {
   pageManager.selectAll(e.target.checked);
-  document.querySelectorAll('.page-checkbox').forEach(cb => {
-    cb.checked = e.target.checked;
-  });
-  document.querySelectorAll('.pdf-page').forEach(page => {
-    page.classList.toggle('selected', e.target.checked);
-  });
-  updateStats();
+  syncGrid();
+}
+
+// Handle undo/redo
+function handleUndo() {
+  if (pageManager.undo()) syncGrid();
+}
+
+function handleRedo() {
+  if (pageManager.redo()) syncGrid();
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y also redoes); text fields keep their native undo
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.matches('input[type="text"], input:not([type]), textarea')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    handleUndo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    handleRedo();
+  }
+}
+
+// Update undo/redo buttons
+function updateHistoryButtons() {
+  const { history } = pageManager;
+  undoBtn.disabled = !history.canUndo();
+  redoBtn.disabled = !history.canRedo();
+  undoBtn.title = history.canUndo() ? `Undo ${history.undoStack[history.undoStack.length - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+  redoBtn.title = history.canRedo() ? `Redo ${history.redoStack[history.redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
 }
 
 // Switch tabs
 function switchTab(tab) {
-  if (tab === 'merge') {
-    mergeTab.classList.add('text-blue-600', 'border-b-2', 'border-blue-600');
-    mergeTab.classList.remove('text-gray-600');
-    extractTab.classList.remove('text-blue-600', 'border-b-2', 'border-blue-600');
-    extractTab.classList.add('text-gray-600');
-    mergeContent.classList.remove('hidden');
-    extractContent.classList.add('hidden');
-  } else {
-    extractTab.classList.add('text-blue-600', 'border-b-2', 'border-blue-600');
-    extractTab.classList.remove('text-gray-600');
-    mergeTab.classList.remove('text-blue-600', 'border-b-2', 'border-blue-600');
-    mergeTab.classList.add('text-gray-600');
-    extractContent.classList.remove('hidden');
-    mergeContent.classList.add('hidden');
-  }
+  Object.entries(sidebarTabs).forEach(([name, { button, content }]) => {
+    const active = name === tab;
+    button.classList.toggle('text-blue-600', active);
+    button.classList.toggle('border-b-2', active);
+    button.classList.toggle('border-blue-600', active);
+    button.classList.toggle('text-gray-600', !active);
+    content.classList.toggle('hidden', !active);
+  });
+  scheduleNamePreview();
 }
 
 // Update statistics
 function updateStats() {
-  totalPagesSpan.textContent = pageManager.getAllPages().length;
-  selectedPagesSpan.textContent = pageManager.getSelectedPages().length;
+  const total = pageManager.getAllPages().length;
+  const selected = pageManager.getSelectedPages().length;
+  totalPagesSpan.textContent = total;
+  selectedPagesSpan.textContent = selected;
+  selectAllCheckbox.checked = total > 0 && selected === total;
+  updateBulkActions(selected);
+  updateHistoryButtons();
 }
 
 // Handle merge (OPTIMIZED VERSION)
@@ -467,87 +966,47 @@ async function handleMerge() {
     return;
   }
 
+  let encryption;
+  let stampRun;
+  let layout;
+  try {
+    encryption = getEncryptionOptions('merge');
+    stampRun = createStampRun();
+    layout = getPageLayout();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
   // Disable button and show progress
   mergeBtn.disabled = true;
   mergeBtn.textContent = 'Merging...';
 
   try {
-    console.log('Creating new PDF document...');
-    const mergedPdf = await PDFLib.PDFDocument.create();
-    console.log('✓ New PDF document created');
-
-    // ==================== PERFORMANCE OPTIMIZATION ====================
-    // Pre-load all unique source PDFs ONCE instead of loading them repeatedly
-    console.log('\n=== Pre-loading source PDFs (OPTIMIZATION) ===');
-    const loadedPdfs = new Map(); // Cache: fileIndex -> loaded PDF
-    const uniqueFileIndices = [...new Set(pagesToMerge.map(p => p.fileIndex))];
-
-    for (const fileIndex of uniqueFileIndices) {
-      const originalFile = pageManager.originalFiles[fileIndex];
-      console.log(`Loading ${originalFile.name}...`);
-      const arrayBuffer = await originalFile.arrayBuffer();
-      const sourcePdf = await PDFLib.PDFDocument.load(arrayBuffer);
-      loadedPdfs.set(fileIndex, sourcePdf);
-      console.log(`✓ Loaded (${sourcePdf.getPageCount()} pages)`);
-    }
-    console.log(`✓ All ${uniqueFileIndices.length} source file(s) pre-loaded\n`);
-    // ==================================================================
-
-    // Now process pages using cached PDFs (MUCH FASTER!)
-    for (let i = 0; i < pagesToMerge.length; i++) {
-      const page = pagesToMerge[i];
-      const pageStartTime = performance.now();
-
-      // Log every 10 pages to reduce console spam
-      if (i % 10 === 0 || i === 0 || i === pagesToMerge.length - 1) {
-        console.log(`\n--- Processing page ${i + 1}/${pagesToMerge.length} ---`);
-        console.log(`Page ID: ${page.id}, Original page: ${page.originalPageNum}, File: ${page.fileName}`);
-      }
-
-      // Update button with progress
-      mergeBtn.textContent = `Merging ${i + 1}/${pagesToMerge.length}...`;
-
-      try {
-        // Use the cached PDF (no loading/parsing needed!)
-        const sourcePdf = loadedPdfs.get(page.fileIndex);
-
-        const [copiedPage] = await mergedPdf.copyPages(sourcePdf, [page.originalPageNum - 1]);
-
-        if (page.rotation !== 0) {
-          copiedPage.setRotation(PDFLib.degrees(page.rotation));
-        }
-
-        mergedPdf.addPage(copiedPage);
-
-        const pageEndTime = performance.now();
-        if (i % 10 === 0 || i === 0 || i === pagesToMerge.length - 1) {
-          console.log(`✓ Page ${i + 1} completed in ${(pageEndTime - pageStartTime).toFixed(2)}ms`);
-
-          // Log memory if available
-          if (performance.memory) {
-            console.log(`Memory: ${(performance.memory.usedJSHeapSize / 1048576).toFixed(2)} MB`);
-          }
-        }
-      } catch (pageError) {
-        console.error(`✗ ERROR processing page ${i + 1}:`, pageError);
-        throw new Error(`Failed on page ${i + 1}: ${pageError.message}`);
-      }
-    }
-
-    console.log('\n=== Saving merged PDF ===');
-    const saveStartTime = performance.now();
-    const pdfBytes = await mergedPdf.save();
-    const saveEndTime = performance.now();
-    console.log(`✓ PDF saved (${pdfBytes.length} bytes) in ${(saveEndTime - saveStartTime).toFixed(2)}ms`);
-
-    const filename = mergeFilename.value.trim() || 'merged-document';
-    console.log(`Downloading as: ${filename}.pdf`);
-    downloadFile(pdfBytes, `${filename}.pdf`, 'application/pdf');
+    const job = await planExportJob('Merging', [{
+      name: await planMergeName(pagesToMerge),
+      pages: pagesToMerge,
+      // Bookmarks, internal links and form fields need all pages copied together. Imposed
+      // sheets have no room for them, their pages are drawn as plain content.
+      structure: keepStructure.checked && (!layout || layout.nUp === 1)
+        ? { groupBookmarksByFile: groupBookmarksByFile.checked }
+        : null,
+      layout
+    }], { encryption, stamps: stampRun });
+
+    const result = await runExportJob(job, mergeBtn);
+    console.log(`✓ PDF saved (${result.bytes.length} bytes)`);
+    console.log(`Downloading as: ${result.name}`);
+    downloadFile(result.bytes, result.name, result.mimeType);
 
     const endTime = performance.now();
     console.log(`\n=== MERGE COMPLETED SUCCESSFULLY ===`);
     console.log(`Total time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
   } catch (error) {
+    if (error instanceof JobCancelledError) {
+      console.log('\n=== MERGE CANCELLED ===');
+      return;
+    }
     console.error('\n=== MERGE FAILED ===');
     console.error('Error details:', error);
     console.error('Stack trace:', error.stack);
@@ -574,6 +1033,21 @@ async function handleExtract() {
     return;
   }
 
+  if (exportAsImages.checked) {
+    await handleExportImages(pagesToExtract);
+    return;
+  }
+
+  let encryption;
+  let stampRun;
+  try {
+    encryption = getEncryptionOptions('extract');
+    stampRun = createStampRun();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
   // Disable button and show progress
   extractBtn.disabled = true;
   extractBtn.textContent = 'Extracting...';
@@ -582,148 +1056,25 @@ async function handleExtract() {
     const mergeAsSingle = mergeSinglePdf.checked;
     console.log(`Extract mode: ${mergeAsSingle ? 'Single PDF' : 'Individual PDFs'}`);
 
-    // ==================== PERFORMANCE OPTIMIZATION ====================
-    // Pre-load all unique source PDFs ONCE
-    console.log('\n=== Pre-loading source PDFs (OPTIMIZATION) ===');
-    const loadedPdfs = new Map();
-    const uniqueFileIndices = [...new Set(pagesToExtract.map(p => p.fileIndex))];
-
-    for (const fileIndex of uniqueFileIndices) {
-      const originalFile = pageManager.originalFiles[fileIndex];
-      console.log(`Loading ${originalFile.name}...`);
-      const arrayBuffer = await originalFile.arrayBuffer();
-      const sourcePdf = await PDFLib.PDFDocument.load(arrayBuffer);
-      loadedPdfs.set(fileIndex, sourcePdf);
-      console.log(`✓ Loaded (${sourcePdf.getPageCount()} pages)`);
-    }
-    console.log(`✓ All ${uniqueFileIndices.length} source file(s) pre-loaded\n`);
-    // ==================================================================
-
-    if (mergeAsSingle) {
-      // Extract as single PDF
-      console.log('Creating extracted PDF document...');
-      const extractedPdf = await PDFLib.PDFDocument.create();
-      console.log('✓ New PDF document created');
-
-      for (let i = 0; i < pagesToExtract.length; i++) {
-        const page = pagesToExtract[i];
-
-        if (i % 10 === 0 || i === 0 || i === pagesToExtract.length - 1) {
-          console.log(`\n--- Processing page ${i + 1}/${pagesToExtract.length} ---`);
-        }
-
-        // Update button with progress
-        extractBtn.textContent = `Extracting ${i + 1}/${pagesToExtract.length}...`;
-
-        try {
-          const sourcePdf = loadedPdfs.get(page.fileIndex);
-          const [copiedPage] = await extractedPdf.copyPages(sourcePdf, [page.originalPageNum - 1]);
-
-          if (page.rotation !== 0) {
-            copiedPage.setRotation(PDFLib.degrees(page.rotation));
-          }
-
-          extractedPdf.addPage(copiedPage);
-
-          if (i % 10 === 0 || i === 0 || i === pagesToExtract.length - 1) {
-            if (performance.memory) {
-              console.log(`Memory: ${(performance.memory.usedJSHeapSize / 1048576).toFixed(2)} MB`);
-            }
-          }
-        } catch (pageError) {
-          console.error(`✗ ERROR processing page ${i + 1}:`, pageError);
-          throw new Error(`Failed on page ${i + 1}: ${pageError.message}`);
-        }
-      }
-
-      console.log('\n=== Saving extracted PDF ===');
-      const saveStartTime = performance.now();
-      const pdfBytes = await extractedPdf.save();
-      const saveEndTime = performance.now();
-      console.log(`✓ PDF saved (${pdfBytes.length} bytes) in ${(saveEndTime - saveStartTime).toFixed(2)}ms`);
-
-      const filename = extractFilename.value.trim() || 'extracted-pages';
-      console.log(`Downloading as: ${filename}.pdf`);
-      downloadFile(pdfBytes, `${filename}.pdf`, 'application/pdf');
-    } else {
-      // Extract as individual PDFs
-      if (pagesToExtract.length === 1) {
-        console.log('Extracting single page as PDF...');
-        const page = pagesToExtract[0];
-        const singlePdf = await PDFLib.PDFDocument.create();
-
-        const sourcePdf = loadedPdfs.get(page.fileIndex);
-        const [copiedPage] = await singlePdf.copyPages(sourcePdf, [page.originalPageNum - 1]);
-
-        if (page.rotation !== 0) {
-          copiedPage.setRotation(PDFLib.degrees(page.rotation));
-        }
-
-        singlePdf.addPage(copiedPage);
-
-        const pdfBytes = await singlePdf.save();
-        const filename = extractFilename.value.trim() || 'extracted-page';
-        const pageIndex = pageManager.getAllPages().findIndex(p => p.id === page.id);
-        downloadFile(pdfBytes, `${filename}_page-${pageIndex + 1}.pdf`, 'application/pdf');
-
-        console.log('✓ Single page extracted');
-      } else {
-        // Multiple pages - download as ZIP
-        console.log('Extracting multiple pages as ZIP...');
-        const zip = new JSZip();
-        const filename = extractFilename.value.trim() || 'extracted-pages';
-
-        for (let i = 0; i < pagesToExtract.length; i++) {
-          const page = pagesToExtract[i];
-
-          if (i % 10 === 0 || i === 0 || i === pagesToExtract.length - 1) {
-            console.log(`\n--- Creating PDF ${i + 1}/${pagesToExtract.length} ---`);
-          }
-
-          // Update button with progress
-          extractBtn.textContent = `Extracting ${i + 1}/${pagesToExtract.length}...`;
-
-          try {
-            const singlePdf = await PDFLib.PDFDocument.create();
+    // One PDF, or one PDF per page; several of them are bundled as a ZIP
+    const { names, zipName } = await planExtractNames(pagesToExtract);
+    const outputs = mergeAsSingle
+      ? [{ name: names[0], pages: pagesToExtract }]
+      : pagesToExtract.map((page, i) => ({ name: names[i], pages: [page] }));
 
-            const sourcePdf = loadedPdfs.get(page.fileIndex);
-            const [copiedPage] = await singlePdf.copyPages(sourcePdf, [page.originalPageNum - 1]);
-
-            if (page.rotation !== 0) {
-              copiedPage.setRotation(PDFLib.degrees(page.rotation));
-            }
-
-            singlePdf.addPage(copiedPage);
-
-            const pdfBytes = await singlePdf.save();
-            const pageIndex = pageManager.getAllPages().findIndex(p => p.id === page.id);
-            const pdfFilename = `${filename}_page-${pageIndex + 1}.pdf`;
-
-            zip.file(pdfFilename, pdfBytes);
-
-            if (i % 10 === 0 || i === 0 || i === pagesToExtract.length - 1) {
-              console.log(`✓ PDF ${i + 1} added to ZIP`);
-            }
-          } catch (pageError) {
-            console.error(`✗ ERROR creating PDF ${i + 1}:`, pageError);
-            throw new Error(`Failed on PDF ${i + 1}: ${pageError.message}`);
-          }
-        }
-
-        console.log('\n=== Generating ZIP file ===');
-        const zipStartTime = performance.now();
-        const zipBlob = await zip.generateAsync({ type: 'blob' });
-        const zipEndTime = performance.now();
-        console.log(`✓ ZIP generated (${zipBlob.size} bytes) in ${(zipEndTime - zipStartTime).toFixed(2)}ms`);
-
-        downloadFile(zipBlob, `${filename}_extract.zip`, 'application/zip');
-      }
-    }
+    const job = await planExportJob('Extracting', outputs, { encryption, stamps: stampRun, zipName });
+    const result = await runExportJob(job, extractBtn);
+    console.log(`Downloading as: ${result.name} (${result.bytes.length} bytes)`);
+    downloadFile(result.bytes, result.name, result.mimeType);
 
     const endTime = performance.now();
     console.log(`\n=== EXTRACT COMPLETED SUCCESSFULLY ===`);
     console.log(`Total time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
   } catch (error) {
+    if (error instanceof JobCancelledError) {
+      console.log('\n=== EXTRACT CANCELLED ===');
+      return;
+    }
     console.error('\n=== EXTRACT FAILED ===');
     console.error('Error details:', error);
     console.error('Stack trace:', error.stack);
@@ -734,6 +1085,64 @@ async function handleExtract() {
   }
 }
 
+// Parse a single range term ("4", "2-7", "9-end") into { start, end } (1-based, inclusive)
+function parsePageRange(part, total) {
+  const toNumber = (value) => {
+    if (value.toLowerCase() === 'end') return total;
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`"${part}" is not a valid range`);
+    }
+    return parseInt(value, 10);
+  };
+
+  const bounds = part.split('-').map(b => b.trim());
+  if (bounds.length > 2) {
+    throw new Error(`"${part}" is not a valid range`);
+  }
+
+  const start = toNumber(bounds[0]);
+  const end = bounds.length === 2 ? toNumber(bounds[1]) : start;
+
+  if (start < 1 || end > total) {
+    throw new Error(`"${part}" is outside pages 1-${total}`);
+  }
+  if (start > end) {
+    throw new Error(`"${part}" ends before it starts`);
+  }
+  return { start, end };
+}
+
+// Read the "Encrypt output" settings of a tab ('merge' or 'extract'); null when disabled
+function getEncryptionOptions(prefix) {
+  if (!document.getElementById(`${prefix}Encrypt`).checked) return null;
+
+  const userPassword = document.getElementById(`${prefix}UserPassword`).value;
+  const ownerPassword = document.getElementById(`${prefix}OwnerPassword`).value;
+  if (!userPassword && !ownerPassword) {
+    throw new Error('Enter a password to encrypt the output, or turn encryption off.');
+  }
+
+  const allowed = {};
+  document.querySelectorAll(`#${prefix}EncryptOptions [data-permission]`).forEach(cb => {
+    allowed[cb.dataset.permission] = cb.checked;
+  });
+
+  return {
+    userPassword,
+    // Without an owner password anyone who can open the file could lift the restrictions
+    ownerPassword: ownerPassword || userPassword,
+    permissions: {
+      printing: allowed.printing ? 'highResolution' : false,
+      copying: allowed.copying,
+      contentAccessibility: true,
+      modifying: allowed.modifying,
+      documentAssembly: allowed.modifying,
+      annotating: allowed.annotating,
+      fillingForms: allowed.annotating
+    }
+  };
+}
+
 // Download file
 function downloadFile(data, filename, mimeType) {
   const blob = new Blob([data], { type: mimeType });
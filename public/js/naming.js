@@ -0,0 +1,192 @@
+// Output names: the filename fields of Merge, Extract and Split are templates. {token} is
+// replaced by a value of the output's first page, {token:03} pads a number with zeros. Each tab
+// previews the names its next download will get.
+
+const mergeNamePreview = document.getElementById('mergeNamePreview');
+const extractNamePreview = document.getElementById('extractNamePreview');
+const splitNamePreview = document.getElementById('splitNamePreview');
+const extractFolders = document.getElementById('extractFolders');
+const splitFolders = document.getElementById('splitFolders');
+
+const NAME_TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+const NAME_PREVIEW_LIMIT = 8; // Names listed before "and N more"
+const TEXT_TOKEN_LENGTH = 60; // {text} is cut to this many characters
+
+const firstTextLines = new WeakMap(); // pdfPage -> first line of text
+let namePreviewTimer = null;
+let namePreviewToken = 0;
+
+['mergeFilename', 'extractFilename', 'mergeSinglePdf', 'exportAsImages', 'imageFormat', 'extractFolders',
+  'splitFilename', 'splitRanges', 'splitEvery', 'splitFolders'].forEach(id => {
+  document.getElementById(id).addEventListener('input', scheduleNamePreview);
+  document.getElementById(id).addEventListener('change', scheduleNamePreview);
+});
+splitModeRadios.forEach(radio => radio.addEventListener('change', scheduleNamePreview));
+
+function formatDateToken(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Characters that are not allowed in file names on some systems become underscores
+function sanitizeFileName(name) {
+  return name.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').replace(/\s+/g, ' ').trim().replace(/^\.+|\.+$/g, '');
+}
+
+function getSourceName(page) {
+  return page.fileName.replace(/\.[^.]+$/, '');
+}
+
+// The file an output comes from: its first page that is not an inserted blank or separator
+function getOutputSourceName(pages) {
+  return getSourceName(pages.find(p => !p.synthetic) || pages[0]);
+}
+
+// First line of the page's text, pdf.js marks line ends on its text items
+async function getFirstTextLine(page) {
+  if (page.synthetic) return page.synthetic.text || '';
+  if (firstTextLines.has(page.pdfPage)) return firstTextLines.get(page.pdfPage);
+
+  let line = '';
+  try {
+    const textContent = await page.pdfPage.getTextContent();
+    for (const item of textContent.items) {
+      line += item.str;
+      if (item.hasEOL && line.trim()) break;
+    }
+  } catch (error) {
+    console.warn('Could not read page text:', error);
+  }
+  line = line.replace(/\s+/g, ' ').trim().slice(0, TEXT_TOKEN_LENGTH).trim();
+  firstTextLines.set(page.pdfPage, line);
+  return line;
+}
+
+// Token values for an output made of pages. index is the output's number in the download,
+// extra adds tokens of the caller (e.g. Split's {range}). {text} is only read when used.
+async function getNameTokens(template, pages, index, extra = {}) {
+  const first = pages[0];
+  const sources = [...new Set(pages.filter(p => !p.synthetic).map(getSourceName))];
+  return {
+    source: getOutputSourceName(pages),
+    sources: sources.join('+') || getSourceName(first),
+    sourcePage: first.synthetic ? '' : first.originalPageNum,
+    outputPage: pageManager.getAllPages().indexOf(first) + 1,
+    date: formatDateToken(new Date()),
+    index: index + 1,
+    text: template.includes('{text') ? await getFirstTextLine(first) : '',
+    ...extra
+  };
+}
+
+// Fill a template; unknown tokens stay as they are so typos show up in the preview
+function fillNameTemplate(template, tokens) {
+  const name = template.replace(NAME_TOKEN_PATTERN, (match, token, width) => {
+    if (!(token in tokens)) return match;
+    const value = String(tokens[token]);
+    return width ? value.padStart(Number(width), '0') : value;
+  });
+  return sanitizeFileName(name);
+}
+
+// Number repeated names before their extension ("name (2).pdf"), ignoring case like most file systems
+function makeNamesUnique(names) {
+  const used = new Map();
+  return names.map(name => {
+    const key = name.toLowerCase();
+    const count = used.get(key) || 0;
+    used.set(key, count + 1);
+    if (count === 0) return name;
+    const dot = name.lastIndexOf('.');
+    return dot > name.lastIndexOf('/') + 1
+      ? `${name.slice(0, dot)} (${count + 1})${name.slice(dot)}`
+      : `${name} (${count + 1})`;
+  });
+}
+
+// Put every output in a folder named after its source file
+function addSourceFolders(names, outputPages) {
+  return names.map((name, i) => `${sanitizeFileName(getOutputSourceName(outputPages[i])) || 'pages'}/${name}`);
+}
+
+// Names for Merge: one PDF
+async function planMergeName(pages) {
+  const template = mergeFilename.value.trim() || '{source}';
+  return `${fillNameTemplate(template, await getNameTokens(template, pages, 0)) || 'merged-document'}.pdf`;
+}
+
+// Names for Extract: { names, zipName } for one PDF, a PDF per page or an image per page.
+// A per-page template without a page token gets "_page-{outputPage}" so the names differ; one
+// with page tokens would name the ZIP after the first page, so the ZIP is named after its source.
+async function planExtractNames(pages, extension = 'pdf') {
+  const template = extractFilename.value.trim() || '{source}';
+  const fallback = pages.length === 1 ? 'extracted-page' : 'extracted-pages';
+  const baseName = fillNameTemplate(template, await getNameTokens(template, pages, 0)) || fallback;
+
+  if (extension === 'pdf' && mergeSinglePdf.checked) {
+    return { names: [`${baseName}.pdf`], zipName: null };
+  }
+
+  const pageTemplate = /\{(outputPage|sourcePage|index)\b/.test(template) ? template : `${template}_page-{outputPage}`;
+  let names = [];
+  for (let i = 0; i < pages.length; i++) {
+    const name = fillNameTemplate(pageTemplate, await getNameTokens(pageTemplate, [pages[i]], i)) || `${fallback}-${i + 1}`;
+    names.push(`${name}.${extension}`);
+  }
+  if (names.length === 1) return { names, zipName: null };
+
+  if (extractFolders.checked) names = addSourceFolders(names, pages.map(page => [page]));
+  const zipBase = pageTemplate === template ? sanitizeFileName(getOutputSourceName(pages)) : baseName;
+  const suffix = extension === 'pdf' ? 'extract' : 'images';
+  return { names: makeNamesUnique(names), zipName: `${zipBase}_${suffix}.zip` };
+}
+
+function scheduleNamePreview() {
+  clearTimeout(namePreviewTimer);
+  namePreviewTimer = setTimeout(updateNamePreview, 300);
+}
+
+function showNamePreview(list, names, zipName, message = '') {
+  list.innerHTML = '';
+  const lines = message ? [message] : [
+    ...(zipName ? [`${zipName}:`] : []),
+    ...names.slice(0, NAME_PREVIEW_LIMIT).map(name => (zipName ? `  ${name}` : name)),
+    ...(names.length > NAME_PREVIEW_LIMIT ? [`  … and ${names.length - NAME_PREVIEW_LIMIT} more`] : [])
+  ];
+  lines.forEach(line => {
+    const item = document.createElement('li');
+    item.className = 'truncate whitespace-pre';
+    item.textContent = line;
+    item.title = line.trim();
+    list.appendChild(item);
+  });
+}
+
+// Called from syncGrid and whenever a naming setting changes: preview the visible tab only.
+// Split by bookmarks reads each file's outline once, getTopLevelOutline keeps them.
+async function updateNamePreview() {
+  const token = ++namePreviewToken;
+  const selected = pageManager.getSelectedPages();
+  const pages = selected.length > 0 ? selected : pageManager.getAllPages();
+  const visible = Object.keys(sidebarTabs).find(name => !sidebarTabs[name].content.classList.contains('hidden'));
+  const list = { merge: mergeNamePreview, extract: extractNamePreview, split: splitNamePreview }[visible];
+  if (!list) return;
+
+  let preview;
+  try {
+    if (pages.length === 0) {
+      preview = { names: [], zipName: null, message: 'Upload PDF files to see the file names' };
+    } else if (visible === 'merge') {
+      preview = { names: [await planMergeName(pages)], zipName: null };
+    } else if (visible === 'extract') {
+      preview = await planExtractNames(pages, exportAsImages.checked ? (imageFormat.value === 'jpeg' ? 'jpg' : 'png') : 'pdf');
+    } else {
+      preview = await planSplitNames(pages, await buildSplitChunks(pages, getSplitMode()));
+    }
+  } catch (error) {
+    preview = { names: [], zipName: null, message: error.message };
+  }
+
+  if (token !== namePreviewToken) return;
+  showNamePreview(list, preview.names, preview.zipName, preview.message);
+}
@@ -0,0 +1,180 @@
+// Grid navigation: the grid is a listbox of focusable page cards. Arrow keys move focus,
+// Alt+arrows move the page itself, and touch/pen users reorder by dragging a card's grip
+// (HTML5 drag and drop only works with a mouse).
+
+const gridAnnouncer = document.getElementById('gridAnnouncer');
+
+let focusedPageId = null; // Card that holds tabindex=0 (roving tabindex)
+let pointerDrag = null; // { ids, pointerId, card, targetId } while cards are dragged by touch or pen
+
+pagesGrid.addEventListener('keydown', handleGridKeydown);
+pagesGrid.addEventListener('focusin', (e) => {
+  const card = e.target.closest('.pdf-page');
+  if (card) focusedPageId = Number(card.dataset.pageId);
+});
+pagesGrid.addEventListener('pointerdown', handleGripPointerDown);
+pagesGrid.addEventListener('pointermove', handleGripPointerMove);
+pagesGrid.addEventListener('pointerup', (e) => finishPointerDrag(e, true));
+pagesGrid.addEventListener('pointercancel', (e) => finishPointerDrag(e, false));
+
+// Screen readers read this out after keyboard actions
+function announce(message) {
+  gridAnnouncer.textContent = '';
+  setTimeout(() => gridAnnouncer.textContent = message, 50);
+}
+
+function describePage(page) {
+  const source = page.synthetic ? page.fileName : `${page.fileName}, page ${page.originalPageNum}`;
+  const rotated = page.rotation ? `${source}, rotated ${page.rotation}°` : source;
+  return page.crop ? `${rotated}, cropped` : rotated;
+}
+
+// Called from syncGrid for every card
+function describePageCard(pageDiv, page, index, total) {
+  pageDiv.setAttribute('role', 'option');
+  pageDiv.setAttribute('aria-selected', page.selected);
+  pageDiv.setAttribute('aria-posinset', index + 1);
+  pageDiv.setAttribute('aria-setsize', total);
+  pageDiv.setAttribute('aria-label', `Page ${index + 1}: ${describePage(page)}`);
+}
+
+// Called from syncGrid once the cards are in order and after a search filters them: exactly
+// one card is reachable with Tab, and it is not one hidden by a collapsed group or the filter
+function updateGridFocus(pages) {
+  const focused = pages.find(p => p.id === focusedPageId);
+  if (!focused || !isCardShown(focused)) {
+    const first = pages.find(isCardShown) || pages[0];
+    focusedPageId = first ? first.id : null;
+  }
+  pages.forEach(page => {
+    const pageDiv = pageCards.get(page.id);
+    if (pageDiv) pageDiv.tabIndex = page.id === focusedPageId ? 0 : -1;
+  });
+}
+
+function focusPageCard(pageId) {
+  const pageDiv = pageCards.get(pageId);
+  if (!pageDiv) return;
+  pageCards.forEach(card => card.tabIndex = -1);
+  pageDiv.tabIndex = 0;
+  focusedPageId = pageId;
+  pageDiv.focus();
+  pageDiv.scrollIntoView({ block: 'nearest' });
+}
+
+function isCardShown(page) {
+  const pageDiv = pageCards.get(page.id);
+  return Boolean(pageDiv) && !pageDiv.classList.contains('hidden') && !pageDiv.classList.contains('search-filtered');
+}
+
+// Cards per row, so Up/Down can jump a whole row
+function getGridColumns() {
+  const cards = Array.from(pagesGrid.querySelectorAll('.pdf-page:not(.hidden):not(.search-filtered)'));
+  if (cards.length === 0) return 1;
+  const top = cards[0].offsetTop;
+  const columns = cards.findIndex(card => card.offsetTop !== top);
+  return columns > 0 ? columns : cards.length;
+}
+
+function handleGridKeydown(e) {
+  const card = e.target;
+  if (!card.classList.contains('pdf-page') || e.ctrlKey || e.metaKey) return;
+
+  const pages = pageManager.getAllPages();
+  const pageId = Number(card.dataset.pageId);
+  const index = pages.findIndex(p => p.id === pageId);
+  if (index === -1) return;
+  const page = pages[index];
+
+  const columns = getGridColumns();
+  const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+  if (key in steps) {
+    const target = Math.min(Math.max(index + steps[key], 0), pages.length - 1);
+    if (e.altKey) {
+      // Move the page itself, focus stays with it
+      if (target !== index) {
+        pageManager.reorderPages(index, target);
+        syncGrid();
+        announce(`Moved to position ${target + 1} of ${pages.length}`);
+      }
+      focusPageCard(pageId);
+    } else {
+      // Pages in collapsed file groups or filtered out by a search are skipped
+      const shown = pages.filter(p => p === page || isCardShown(p));
+      const position = shown.indexOf(page);
+      focusPageCard(shown[Math.min(Math.max(position + steps[key], 0), shown.length - 1)].id);
+    }
+  } else if (e.altKey) {
+    return;
+  } else if (key === 'Home' || key === 'End') {
+    const shown = pages.filter(isCardShown);
+    if (shown.length > 0) focusPageCard(shown[key === 'Home' ? 0 : shown.length - 1].id);
+  } else if (key === ' ') {
+    handlePageCheckboxClick(pageId, e.shiftKey, !page.selected);
+    announce(page.selected ? 'Selected' : 'Not selected');
+  } else if (key === 'Enter') {
+    openViewer(pageId);
+  } else if (key === 'r') {
+    pageManager.rotatePage(pageId, e.shiftKey ? -90 : 90);
+    syncGrid();
+    announce(`Rotated to ${page.rotation}°`);
+  } else if (key === 'Delete' || key === 'Backspace') {
+    const neighbour = pages.slice(index + 1).find(isCardShown) || pages.slice(0, index).reverse().find(isCardShown);
+    pageManager.removePage(pageId);
+    syncGrid();
+    if (neighbour) focusPageCard(neighbour.id);
+    announce(`Page deleted, ${pages.length - 1} left`);
+  } else {
+    return;
+  }
+  e.preventDefault();
+}
+
+// Touch and pen reordering. The grip has touch-action: none so the browser does not scroll instead.
+function handleGripPointerDown(e) {
+  const grip = e.target.closest('.drag-handle');
+  if (!grip || e.pointerType === 'mouse' || pointerDrag) return;
+
+  const card = grip.closest('.pdf-page');
+  e.preventDefault();
+  grip.setPointerCapture(e.pointerId);
+  const ids = getDraggedPageIds(Number(card.dataset.pageId));
+  ids.forEach(id => pageCards.get(id).classList.add('dragging'));
+  pointerDrag = { ids, pointerId: e.pointerId, card, targetId: null };
+}
+
+function handleGripPointerMove(e) {
+  if (!pointerDrag || e.pointerId !== pointerDrag.pointerId) return;
+
+  const element = document.elementFromPoint(e.clientX, e.clientY);
+  const target = element && element.closest('.pdf-page');
+  const hoveredId = target ? Number(target.dataset.pageId) : null;
+  const targetId = hoveredId !== null && !pointerDrag.ids.includes(hoveredId) ? hoveredId : null;
+  if (targetId !== pointerDrag.targetId) {
+    pagesGrid.querySelectorAll('.drop-target').forEach(card => card.classList.remove('drop-target'));
+    if (target && targetId !== null) target.classList.add('drop-target');
+    pointerDrag.targetId = targetId;
+  }
+
+  // Scroll the grid while the finger rests near its top or bottom edge
+  const bounds = mainContent.getBoundingClientRect();
+  if (e.clientY < bounds.top + 60) mainContent.scrollTop -= 20;
+  else if (e.clientY > bounds.bottom - 60) mainContent.scrollTop += 20;
+}
+
+function finishPointerDrag(e, drop) {
+  if (!pointerDrag || e.pointerId !== pointerDrag.pointerId) return;
+
+  const { ids, targetId } = pointerDrag;
+  pointerDrag = null;
+  ids.forEach(id => pageCards.get(id).classList.remove('dragging'));
+  pagesGrid.querySelectorAll('.drop-target').forEach(target => target.classList.remove('drop-target'));
+  if (!drop || targetId === null) return;
+
+  dropPagesOnCard(ids, targetId);
+  syncGrid();
+  const position = pageManager.getAllPages().findIndex(p => p.id === ids[0]) + 1;
+  announce(`Moved to position ${position} of ${pageManager.getAllPages().length}`);
+}
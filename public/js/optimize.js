@@ -0,0 +1,49 @@
+// Optimize File Size: panel settings for the export jobs (the work itself is in pdf-optimize.js)
+// and the before/after report of the last download
+
+const optimizeOutput = document.getElementById('optimizeOutput');
+const optimizeImageOptions = document.getElementById('optimizeImageOptions');
+const optimizeImages = document.getElementById('optimizeImages');
+const optimizeImageDpi = document.getElementById('optimizeImageDpi');
+const optimizeImageQuality = document.getElementById('optimizeImageQuality');
+const optimizeImageQualityValue = document.getElementById('optimizeImageQualityValue');
+const optimizeReport = document.getElementById('optimizeReport');
+
+optimizeOutput.addEventListener('change', () => {
+  optimizeImageOptions.classList.toggle('hidden', !optimizeOutput.checked);
+});
+optimizeImageQuality.addEventListener('input', updateOptimizeQualityLabel);
+optimizeImageQuality.addEventListener('change', updateOptimizeQualityLabel);
+
+function updateOptimizeQualityLabel() {
+  optimizeImageQualityValue.textContent = `${optimizeImageQuality.value}%`;
+}
+
+// Planned into every export job; null when optimizing is off
+function getOptimizeOptions() {
+  if (!optimizeOutput.checked) return null;
+
+  return {
+    images: optimizeImages.checked ? {
+      dpi: Math.min(600, Math.max(36, parseInt(optimizeImageDpi.value, 10) || 150)),
+      quality: Number(optimizeImageQuality.value) / 100
+    } : null
+  };
+}
+
+// Called when an export job finished, report is null for jobs that were not optimized
+function showOptimizeReport(report) {
+  if (!report) {
+    optimizeReport.textContent = '';
+    return;
+  }
+
+  const saved = report.before > 0 ? Math.round((1 - report.after / report.before) * 100) : 0;
+  const parts = [`${formatFileSize(report.before)} → ${formatFileSize(report.after)} (${saved >= 0 ? '−' : '+'}${Math.abs(saved)}%)`];
+  if (report.images > 0) parts.push(`${report.images} image(s) recompressed`);
+  if (report.merged > 0) parts.push(`${report.merged} duplicate object(s) merged`);
+  if (report.removed > 0) parts.push(`${report.removed} unused object(s) removed`);
+
+  optimizeReport.textContent = `Last download: ${parts.join(', ')}`;
+  console.log(`✓ Optimized output: ${formatFileSize(report.before)} -> ${formatFileSize(report.after)}`);
+}
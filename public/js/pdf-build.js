@@ -0,0 +1,569 @@
+// PDF building blocks without any DOM access. Loaded by the page (previews, fallback export)
+// and by assembly-worker.js, which runs the export pipeline off the main thread.
+
+const PRODUCER_NAME = 'PDF Manager';
+const separatorFonts = new WeakMap(); // PDFDocument -> embedded font, so each output embeds it once
+const STAMP_MARGIN = 24; // Distance of headers, footers and corner stamps from the page edge
+const stampResources = new WeakMap(); // PDFDocument -> { font, image }, embedded once per output
+
+// Standard fonts only cover WinAnsi, replace anything else instead of failing the export
+function toEncodableText(text, font) {
+  return Array.from(text).map(char => {
+    try {
+      font.encodeText(char);
+      return char;
+    } catch (error) {
+      return '?';
+    }
+  }).join('');
+}
+
+// Break text into lines no wider than maxWidth
+function wrapText(text, font, fontSize, maxWidth) {
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, fontSize) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// Draw a generated page into a pdf-lib document and return it.
+// The grid thumbnail is rendered from the same drawing, so preview and output match.
+async function drawSyntheticPage(pdfDoc, spec) {
+  const page = pdfDoc.addPage([spec.width, spec.height]);
+  if (spec.type !== 'separator' || !spec.text) return page;
+
+  if (!separatorFonts.has(pdfDoc)) {
+    separatorFonts.set(pdfDoc, await pdfDoc.embedFont(PDFLib.StandardFonts.HelveticaBold));
+  }
+  const font = separatorFonts.get(pdfDoc);
+
+  const fontSize = Math.min(32, spec.width / 16);
+  const lineHeight = fontSize * 1.3;
+  const lines = wrapText(toEncodableText(spec.text, font), font, fontSize, spec.width - 144);
+  const blockHeight = lines.length * lineHeight;
+  const color = PDFLib.rgb(0.15, 0.15, 0.15);
+
+  let y = spec.height / 2 + blockHeight / 2 - fontSize;
+  lines.forEach(line => {
+    const width = font.widthOfTextAtSize(line, fontSize);
+    page.drawText(line, { x: (spec.width - width) / 2, y, size: fontSize, font, color });
+    y -= lineHeight;
+  });
+
+  // Rules above and below the title
+  const ruleWidth = Math.min(spec.width - 144, 300);
+  const ruleX = (spec.width - ruleWidth) / 2;
+  [spec.height / 2 + blockHeight / 2 + 12, spec.height / 2 - blockHeight / 2 - 12].forEach(ruleY => {
+    page.drawLine({
+      start: { x: ruleX, y: ruleY },
+      end: { x: ruleX + ruleWidth, y: ruleY },
+      thickness: 1.5,
+      color
+    });
+  });
+
+  return page;
+}
+
+function formatBatesNumber(bates, number) {
+  return `${bates.prefix}${String(number).padStart(bates.digits, '0')}`;
+}
+
+function fillStampTokens(template, info) {
+  const tokens = { page: info.pageNumber, total: info.total, filename: info.fileName, date: info.date };
+  return template.replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match));
+}
+
+// Place a horizontal line of text on an edge of the page. position is e.g. 'top-left' or 'bottom-center'.
+function placeEdgeText(text, position, size, font, info) {
+  const [vertical, horizontal] = position.split('-');
+  const width = font.widthOfTextAtSize(text, size);
+  const x = horizontal === 'left' ? STAMP_MARGIN
+    : horizontal === 'right' ? info.width - STAMP_MARGIN - width
+      : (info.width - width) / 2;
+  const y = vertical === 'top' ? info.height - STAMP_MARGIN - size : STAMP_MARGIN;
+  return { x, y };
+}
+
+// Work out what goes where on one page, in the coordinates of the page as displayed
+// (origin bottom-left, angles counter-clockwise). Shared by the output and the thumbnail preview.
+function layoutStamps(settings, info, font) {
+  const items = [];
+  const dark = [0.2, 0.2, 0.2];
+
+  const { watermark } = settings;
+  if (watermark) {
+    let boxWidth;
+    let boxHeight;
+    let text = '';
+    if (watermark.type === 'text') {
+      text = toEncodableText(fillStampTokens(watermark.text, info), font);
+      boxWidth = font.widthOfTextAtSize(text, watermark.size);
+      boxHeight = font.heightAtSize(watermark.size, { descender: false });
+    } else {
+      boxWidth = info.width * watermark.imageScale;
+      boxHeight = boxWidth * watermark.imageHeight / watermark.imageWidth;
+    }
+
+    // Keep the rotated box inside the margins when it sits against an edge
+    const angle = watermark.rotation * Math.PI / 180;
+    const extentX = Math.abs(boxWidth * Math.cos(angle)) + Math.abs(boxHeight * Math.sin(angle));
+    const extentY = Math.abs(boxWidth * Math.sin(angle)) + Math.abs(boxHeight * Math.cos(angle));
+    const [vertical, horizontal = vertical] = watermark.position.split('-');
+    const centerX = horizontal === 'left' ? STAMP_MARGIN + extentX / 2
+      : horizontal === 'right' ? info.width - STAMP_MARGIN - extentX / 2
+        : info.width / 2;
+    const centerY = vertical === 'top' ? info.height - STAMP_MARGIN - extentY / 2
+      : vertical === 'bottom' ? STAMP_MARGIN + extentY / 2
+        : info.height / 2;
+
+    // pdf-lib rotates around the origin (bottom-left corner), so step back from the center
+    const x = centerX - (boxWidth / 2) * Math.cos(angle) + (boxHeight / 2) * Math.sin(angle);
+    const y = centerY - (boxWidth / 2) * Math.sin(angle) - (boxHeight / 2) * Math.cos(angle);
+
+    if (watermark.type === 'text') {
+      items.push({ type: 'text', text, x, y, size: watermark.size, angle: watermark.rotation, color: watermark.color, opacity: watermark.opacity });
+    } else {
+      items.push({ type: 'image', x, y, width: boxWidth, height: boxHeight, angle: watermark.rotation, opacity: watermark.opacity });
+    }
+  }
+
+  [['top', settings.header], ['bottom', settings.footer]].forEach(([edge, line]) => {
+    if (!line) return;
+    const text = toEncodableText(fillStampTokens(line.text, info), font);
+    const { x, y } = placeEdgeText(text, `${edge}-${line.align}`, settings.fontSize, font, info);
+    items.push({ type: 'text', text, x, y, size: settings.fontSize, angle: 0, color: dark, opacity: 1 });
+  });
+
+  if (settings.bates) {
+    const text = toEncodableText(formatBatesNumber(settings.bates, info.batesNumber), font);
+    const { x, y } = placeEdgeText(text, settings.bates.position, settings.fontSize, font, info);
+    items.push({ type: 'text', text, x, y, size: settings.fontSize, angle: 0, color: [0, 0, 0], opacity: 1 });
+  }
+
+  return items;
+}
+
+// Map a point of the displayed page back into the unrotated page space
+function toPageSpace(x, y, box, rotation) {
+  switch (rotation) {
+    case 90: return { x: box.x + box.width - y, y: box.y + x };
+    case 180: return { x: box.x + box.width - x, y: box.y + box.height - y };
+    case 270: return { x: box.x + y, y: box.y + box.height - x };
+    default: return { x: box.x + x, y: box.y + y };
+  }
+}
+
+async function getStampResources(pdfDoc, run) {
+  if (!stampResources.has(pdfDoc)) {
+    const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+    const image = run.image
+      ? await (run.image.isPng ? pdfDoc.embedPng(run.image.bytes) : pdfDoc.embedJpg(run.image.bytes))
+      : null;
+    stampResources.set(pdfDoc, { font, image });
+  }
+  return stampResources.get(pdfDoc);
+}
+
+function getPageRotation(pdfPage) {
+  return ((pdfPage.getRotation().angle % 360) + 360) % 360;
+}
+
+// Stamp every page of an output document. pages describe the grid pages it was built from, in order.
+async function applyStamps(pdfDoc, pages, run) {
+  if (!run) return;
+
+  const { font, image } = await getStampResources(pdfDoc, run);
+  const outputPages = pdfDoc.getPages();
+
+  outputPages.forEach((page, index) => {
+    const rotation = getPageRotation(page);
+    const box = page.getCropBox();
+    const quarterTurn = rotation === 90 || rotation === 270;
+    const info = {
+      width: quarterTurn ? box.height : box.width,
+      height: quarterTurn ? box.width : box.height,
+      pageNumber: index + 1,
+      total: outputPages.length,
+      fileName: pages[index] ? pages[index].fileName : '',
+      date: run.date,
+      batesNumber: run.nextBates++
+    };
+
+    layoutStamps(run.settings, info, font).forEach(item => {
+      const origin = toPageSpace(item.x, item.y, box, rotation);
+      const rotate = PDFLib.degrees(item.angle + rotation);
+      if (item.type === 'text') {
+        page.drawText(item.text, {
+          x: origin.x,
+          y: origin.y,
+          size: item.size,
+          font,
+          color: PDFLib.rgb(...item.color),
+          opacity: item.opacity,
+          rotate
+        });
+      } else {
+        page.drawImage(image, { x: origin.x, y: origin.y, width: item.width, height: item.height, opacity: item.opacity, rotate });
+      }
+    });
+  });
+
+  console.log(`✓ Stamped ${outputPages.length} page(s)`);
+}
+
+// Encrypt a document right before it is saved (no-op when encryption is off)
+function applyEncryption(pdfDoc, encryption) {
+  if (encryption) {
+    pdfDoc.encrypt(encryption);
+  }
+}
+
+// Load every source file of a job once (fileIndex -> PDFDocument)
+async function loadSourcePdfs(files) {
+  console.log('\n=== Pre-loading source PDFs ===');
+  const loadedPdfs = new Map();
+
+  for (const file of files) {
+    console.log(`Loading ${file.name}...`);
+    const sourcePdf = await PDFLib.PDFDocument.load(file.bytes, { password: file.password });
+    loadedPdfs.set(file.fileIndex, sourcePdf);
+    console.log(`✓ Loaded (${sourcePdf.getPageCount()} pages)`);
+  }
+  console.log(`✓ All ${files.length} source file(s) pre-loaded\n`);
+
+  return loadedPdfs;
+}
+
+// Narrow a page's crop box to the planned crop (insets as fractions of the unrotated page)
+function applyPageCrop(pdfPage, crop) {
+  if (!crop) return;
+  const box = pdfPage.getCropBox();
+  pdfPage.setCropBox(
+    box.x + box.width * crop.left,
+    box.y + box.height * crop.bottom,
+    box.width * (1 - crop.left - crop.right),
+    box.height * (1 - crop.top - crop.bottom)
+  );
+}
+
+// Copy a page from its pre-loaded source into the target document
+async function appendPage(targetPdf, loadedPdfs, page) {
+  if (page.synthetic) {
+    const drawnPage = await drawSyntheticPage(targetPdf, page.synthetic);
+    if (page.rotation !== 0) {
+      drawnPage.setRotation(PDFLib.degrees(page.rotation));
+    }
+    applyPageCrop(drawnPage, page.crop);
+    return drawnPage;
+  }
+
+  const sourcePdf = loadedPdfs.get(page.fileIndex);
+  const [copiedPage] = await targetPdf.copyPages(sourcePdf, [page.originalPageNum - 1]);
+
+  if (page.rotation !== 0) {
+    copiedPage.setRotation(PDFLib.degrees(page.rotation));
+  }
+  applyPageCrop(copiedPage, page.crop);
+
+  targetPdf.addPage(copiedPage);
+  return copiedPage;
+}
+
+// Page size and imposition. layout: { size: [width, height] in points or null to keep each
+// page's size, scale: 'fit' | 'fill', nUp: 1 | 2 | 4 | 'booklet' }. Sheets are planned from
+// displayed page sizes (after rotation and crop) so the page can preview them with the same code.
+
+// Where a page of the given displayed size goes in a cell, centered. 'fit' shows the whole
+// page, 'fill' covers the cell and whatever sticks out is clipped.
+function fitPageInCell(size, cell, scaleMode) {
+  const scales = [cell.width / size[0], cell.height / size[1]];
+  const scale = scaleMode === 'fill' ? Math.max(...scales) : Math.min(...scales);
+  const width = size[0] * scale;
+  const height = size[1] * scale;
+  return { x: cell.x + (cell.width - width) / 2, y: cell.y + (cell.height - height) / 2, width, height, scale };
+}
+
+// Output page positions for a saddle-stitched booklet: each sheet is printed on both sides and
+// the stack is folded once. Blank pages (null) pad the count to a multiple of four.
+function getBookletOrder(count) {
+  const padded = Math.ceil(count / 4) * 4;
+  const order = [];
+  for (let sheet = 0; sheet < padded / 4; sheet++) {
+    order.push(padded - 1 - 2 * sheet, 2 * sheet, 2 * sheet + 1, padded - 2 - 2 * sheet);
+  }
+  return order.map(index => (index < count ? index : null));
+}
+
+// Sheets as [{ width, height, cells: [{ index, x, y, width, height }] }] in PDF space (origin
+// bottom left); index is the page drawn into the cell, null for an empty one.
+function planSheets(sizes, layout) {
+  if (layout.nUp === 1) {
+    return sizes.map((size, index) => {
+      let [width, height] = size;
+      if (layout.size) {
+        // The target size follows each page's orientation
+        const [short, long] = [Math.min(...layout.size), Math.max(...layout.size)];
+        [width, height] = size[0] > size[1] ? [long, short] : [short, long];
+      }
+      return { width, height, cells: [{ index, x: 0, y: 0, width, height }] };
+    });
+  }
+
+  // Two pages go on the base size turned a quarter, side by side or stacked; four keep it upright
+  const base = layout.size || sizes[0];
+  const perSheet = layout.nUp === 4 ? 4 : 2;
+  const [width, height] = perSheet === 4 ? base : [base[1], base[0]];
+  const [columns, rows] = perSheet === 4 ? [2, 2] : width > height ? [2, 1] : [1, 2];
+  const order = layout.nUp === 'booklet' ? getBookletOrder(sizes.length) : sizes.map((size, index) => index);
+
+  const sheets = [];
+  for (let i = 0; i < order.length; i += perSheet) {
+    const cells = [];
+    for (let slot = 0; slot < perSheet; slot++) {
+      const column = slot % columns;
+      const row = Math.floor(slot / columns);
+      cells.push({
+        index: i + slot < order.length ? order[i + slot] : null,
+        x: (column * width) / columns,
+        y: height - ((row + 1) * height) / rows,
+        width: width / columns,
+        height: height / rows
+      });
+    }
+    sheets.push({ width, height, cells });
+  }
+  return sheets;
+}
+
+// 1-up: scale a page onto its sheet in place, so its links, bookmarks and form fields still work
+function resizePage(pdfPage, sheet, scaleMode) {
+  const quarterTurn = getPageRotation(pdfPage) % 180 === 90;
+  const box = pdfPage.getCropBox();
+  const placed = fitPageInCell(quarterTurn ? [box.height, box.width] : [box.width, box.height], sheet.cells[0], scaleMode);
+
+  // The page is centered, so the margins are the same in the unrotated page space
+  const [width, height] = quarterTurn ? [sheet.height, sheet.width] : [sheet.width, sheet.height];
+  const dx = (width - box.width * placed.scale) / 2 - box.x * placed.scale;
+  const dy = (height - box.height * placed.scale) / 2 - box.y * placed.scale;
+  pdfPage.scaleContent(placed.scale, placed.scale);
+  pdfPage.translateContent(dx, dy);
+
+  const annots = pdfPage.node.Annots();
+  if (annots) {
+    annots.asArray().forEach(ref => {
+      const annot = pdfPage.doc.context.lookup(ref);
+      if (!(annot instanceof PDFLib.PDFDict)) return;
+      ['Rect', 'QuadPoints'].forEach(key => {
+        const points = annot.lookup(PDFLib.PDFName.of(key));
+        if (!(points instanceof PDFLib.PDFArray)) return;
+        const moved = points.asArray().map((value, i) => value.asNumber() * placed.scale + (i % 2 === 0 ? dx : dy));
+        annot.set(PDFLib.PDFName.of(key), pdfPage.doc.context.obj(moved));
+      });
+    });
+  }
+
+  pdfPage.setMediaBox(0, 0, width, height);
+  pdfPage.setCropBox(0, 0, width, height);
+  ['BleedBox', 'TrimBox', 'ArtBox'].forEach(key => pdfPage.node.delete(PDFLib.PDFName.of(key)));
+}
+
+// 2-up, 4-up and booklets: every page becomes a form drawn onto new sheets. Annotations do not
+// survive this, which is why Merge leaves out the structure for these layouts.
+async function imposePages(pdfDoc, sheets, scaleMode) {
+  const pages = pdfDoc.getPages();
+  const rotations = pages.map(getPageRotation);
+  const boxes = pages.map(page => {
+    const box = page.getCropBox();
+    return { left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height };
+  });
+  // Blank pages (inserted ones, and some in source files) have no contents to embed and leave
+  // their cell empty
+  const withContents = pages.map((page, index) => index).filter(index => pages[index].node.Contents());
+  const embedded = await pdfDoc.embedPages(withContents.map(index => pages[index]), withContents.map(index => boxes[index]));
+  const forms = pages.map(() => null);
+  withContents.forEach((index, i) => forms[index] = embedded[i]);
+  for (let i = pages.length - 1; i >= 0; i--) {
+    pdfDoc.removePage(i);
+  }
+
+  sheets.forEach(sheet => {
+    const sheetPage = pdfDoc.addPage([sheet.width, sheet.height]);
+    sheet.cells.forEach(cell => {
+      const form = cell.index === null ? null : forms[cell.index];
+      if (!form) return;
+      const rotation = rotations[cell.index];
+      const size = rotation % 180 === 90 ? [form.height, form.width] : [form.width, form.height];
+      const placed = fitPageInCell(size, cell, scaleMode);
+      // Forms are drawn unrotated, turning them clockwise about their origin needs this corner
+      const origin = {
+        0: [placed.x, placed.y],
+        90: [placed.x, placed.y + placed.height],
+        180: [placed.x + placed.width, placed.y + placed.height],
+        270: [placed.x + placed.width, placed.y]
+      }[rotation];
+
+      if (scaleMode === 'fill') {
+        sheetPage.pushOperators(
+          PDFLib.pushGraphicsState(),
+          PDFLib.rectangle(cell.x, cell.y, cell.width, cell.height),
+          PDFLib.clip(),
+          PDFLib.endPath()
+        );
+      }
+      sheetPage.drawPage(form, {
+        x: origin[0],
+        y: origin[1],
+        xScale: placed.scale,
+        yScale: placed.scale,
+        rotate: PDFLib.degrees(-rotation)
+      });
+      if (scaleMode === 'fill') {
+        sheetPage.pushOperators(PDFLib.popGraphicsState());
+      }
+    });
+  });
+}
+
+// Bring an assembled output to the planned page size and imposition
+async function applyPageLayout(pdfDoc, layout) {
+  if (!layout) return;
+
+  const sizes = pdfDoc.getPages().map(page => {
+    const box = page.getCropBox();
+    return getPageRotation(page) % 180 === 90 ? [box.height, box.width] : [box.width, box.height];
+  });
+  const sheets = planSheets(sizes, layout);
+
+  if (layout.nUp === 1) {
+    pdfDoc.getPages().forEach((page, index) => resizePage(page, sheets[index], layout.scale));
+  } else {
+    await imposePages(pdfDoc, sheets, layout.scale);
+  }
+  console.log(`✓ Laid out ${sizes.length} page(s) on ${sheets.length} sheet(s)`);
+}
+
+// Write the Info dictionary planned on the page (see getDocumentProperties)
+function setDocumentProperties(pdfDoc, properties) {
+  const now = new Date();
+
+  if (properties.title) pdfDoc.setTitle(properties.title, { showInWindowTitleBar: true });
+  if (properties.author) pdfDoc.setAuthor(properties.author);
+  if (properties.subject) pdfDoc.setSubject(properties.subject);
+  if (properties.keywords.length > 0) pdfDoc.setKeywords(properties.keywords);
+  pdfDoc.setCreator(properties.creator || PRODUCER_NAME);
+  pdfDoc.setProducer(PRODUCER_NAME);
+  pdfDoc.setCreationDate(now);
+  pdfDoc.setModificationDate(now);
+}
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Export cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Build every output of a job and return one download: the PDF itself, or a ZIP when the job
+// has several outputs, plus the size report when the job is optimized. onProgress receives
+// { fraction, label }; isCancelled is polled between pages when running on the page (a worker
+// is simply terminated instead).
+async function buildAssemblyJob(job, onProgress, isCancelled = () => false) {
+  const checkCancelled = () => {
+    if (isCancelled()) throw new JobCancelledError();
+  };
+  const zipped = Boolean(job.zipName);
+  const pageWeight = zipped ? 0.9 : 1; // The last 10% of the bar is the ZIP step
+  const totalPages = job.outputs.reduce((sum, output) => sum + output.pages.length, 0);
+  let donePages = 0;
+  const reportPage = () => {
+    donePages++;
+    onProgress({ fraction: (donePages / totalPages) * pageWeight, label: `${job.label} ${donePages}/${totalPages}...` });
+  };
+
+  onProgress({ fraction: 0, label: 'Loading files...' });
+  const loadedPdfs = await loadSourcePdfs(job.files);
+  checkCancelled();
+
+  const results = [];
+  // Totals over every output: sizes before and after optimizing, and what was done
+  const report = job.optimize ? { before: 0, after: 0, images: 0, merged: 0, removed: 0 } : null;
+  for (const output of job.outputs) {
+    const pdfDoc = await PDFLib.PDFDocument.create();
+
+    try {
+      if (output.structure) {
+        // Bookmarks, internal links and form fields need all pages copied together
+        await assemblePagesWithStructure(pdfDoc, loadedPdfs, output.pages, {
+          groupBookmarksByFile: output.structure.groupBookmarksByFile,
+          onProgress: () => {
+            reportPage();
+            checkCancelled();
+          }
+        });
+      } else {
+        for (const page of output.pages) {
+          await appendPage(pdfDoc, loadedPdfs, page);
+          reportPage();
+          checkCancelled();
+        }
+      }
+
+      await applyStamps(pdfDoc, output.pages, job.stamps);
+      await applyPageLayout(pdfDoc, output.layout);
+      setDocumentProperties(pdfDoc, output.properties);
+
+      let saved = 0;
+      if (job.optimize) {
+        onProgress({ fraction: (donePages / totalPages) * pageWeight, label: `Optimizing ${output.name}...` });
+        const optimized = await optimizePdf(pdfDoc, job.optimize);
+        saved = optimized.saved;
+        report.images += optimized.images;
+        report.merged += optimized.merged;
+        report.removed += optimized.removed;
+        checkCancelled();
+      }
+
+      applyEncryption(pdfDoc, job.encryption);
+      const bytes = await pdfDoc.save();
+      if (report) {
+        report.before += bytes.length + saved;
+        report.after += bytes.length;
+      }
+      results.push({ name: output.name, bytes });
+    } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+      console.error(`✗ ERROR creating ${output.name}:`, error);
+      throw new Error(`Failed on ${output.name}: ${error.message}`);
+    }
+
+    if (results.length % 10 === 0 || results.length === job.outputs.length) {
+      console.log(`✓ ${results.length}/${job.outputs.length} file(s) created`);
+    }
+  }
+
+  if (!zipped) {
+    return { name: results[0].name, bytes: results[0].bytes, mimeType: 'application/pdf', report };
+  }
+
+  console.log('\n=== Generating ZIP file ===');
+  const zip = new JSZip();
+  results.forEach(result => zip.file(result.name, result.bytes));
+  const zipBytes = await zip.generateAsync({ type: 'uint8array' }, meta => {
+    onProgress({ fraction: pageWeight + (meta.percent / 100) * (1 - pageWeight), label: `Zipping ${Math.round(meta.percent)}%...` });
+  });
+  console.log(`✓ ZIP generated (${zipBytes.length} bytes)`);
+
+  return { name: job.zipName, bytes: zipBytes, mimeType: 'application/zip', report };
+}
@@ -0,0 +1,326 @@
+// Output optimization, run on a finished document right before it is saved (no DOM access,
+// loaded by the page and by assembly-worker.js like structure.js, whose PDFLib names it uses)
+//
+// Every copyPages call copies the resources of its pages again, so merged sources (and pages
+// of one source copied separately) each carry their own copy of shared fonts and images.
+// Identical objects are merged, objects nothing points at any more are dropped, remaining
+// uncompressed streams are deflated.
+
+const { PDFRawStream, PDFStream, PDFBool, decodePDFRawStream } = PDFLib;
+
+// Dictionaries that are safe to share between pages; pages, annotations etc. point back at
+// their parent and must stay separate objects
+const SHAREABLE_TYPES = ['Font', 'FontDescriptor', 'Encoding', 'ExtGState'];
+
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+// Objects with the same key are identical (streams are compared byte by byte as well); null when not merged
+function getObjectKey(object) {
+  if (object instanceof PDFRawStream) {
+    // Streams of encrypted sources are still encrypted with their own object key
+    if (object.transform) return null;
+    return `${object.dict.toString()}#${object.contents.length}:${hashBytes(object.contents)}`;
+  }
+  if (object instanceof PDFDict) {
+    const type = object.get(PDFName.of('Type'));
+    return type instanceof PDFName && SHAREABLE_TYPES.includes(type.decodeText()) ? object.toString() : null;
+  }
+  if (object instanceof PDFArray) {
+    // Font widths and similar number tables
+    return object.asArray().every(item => item instanceof PDFNumber) ? object.toString() : null;
+  }
+  return null;
+}
+
+// Point every reference inside object (not following references) at its replacement
+function replaceReferences(object, replacements) {
+  if (object instanceof PDFDict) {
+    object.entries().forEach(([key, value]) => {
+      if (value instanceof PDFRef) {
+        if (replacements.has(value)) object.set(key, replacements.get(value));
+      } else {
+        replaceReferences(value, replacements);
+      }
+    });
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      const value = object.get(i);
+      if (value instanceof PDFRef) {
+        if (replacements.has(value)) object.set(i, replacements.get(value));
+      } else {
+        replaceReferences(value, replacements);
+      }
+    }
+  } else if (object instanceof PDFStream) {
+    replaceReferences(object.dict, replacements);
+  }
+}
+
+// Merge identical objects and return how many copies were dropped. Repeats until nothing changes:
+// two font dictionaries only become identical once their font files have been merged.
+function deduplicateObjects(context) {
+  let merged = 0;
+
+  for (;;) {
+    const originals = new Map(); // key -> [{ ref, object }]
+    const replacements = new Map(); // duplicate ref -> original ref
+
+    context.enumerateIndirectObjects().forEach(([ref, object]) => {
+      const key = getObjectKey(object);
+      if (key === null) return;
+
+      const candidates = originals.get(key) || [];
+      const original = candidates.find(candidate => !(object instanceof PDFRawStream) ||
+        sameBytes(candidate.object.contents, object.contents));
+      if (original) {
+        replacements.set(ref, original.ref);
+      } else {
+        candidates.push({ ref, object });
+        originals.set(key, candidates);
+      }
+    });
+
+    if (replacements.size === 0) return merged;
+
+    context.enumerateIndirectObjects().forEach(([, object]) => replaceReferences(object, replacements));
+    replacements.forEach((original, duplicate) => context.delete(duplicate));
+    merged += replacements.size;
+  }
+}
+
+// Delete every object that cannot be reached from the catalog or the Info dictionary
+function removeUnusedObjects(context) {
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info];
+
+  while (pending.length > 0) {
+    const object = pending.pop();
+    if (object instanceof PDFRef) {
+      if (reachable.has(object)) continue;
+      reachable.add(object);
+      pending.push(context.lookup(object));
+    } else if (object instanceof PDFDict) {
+      pending.push(...object.values());
+    } else if (object instanceof PDFArray) {
+      pending.push(...object.asArray());
+    } else if (object instanceof PDFStream) {
+      pending.push(object.dict);
+    }
+  }
+
+  let removed = 0;
+  context.enumerateIndirectObjects().forEach(([ref]) => {
+    if (!reachable.has(ref)) {
+      context.delete(ref);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+// Deflate streams stored without any filter (XMP metadata stays readable, as the spec suggests)
+function compressStreams(context) {
+  let compressed = 0;
+  context.enumerateIndirectObjects().forEach(([ref, object]) => {
+    if (!(object instanceof PDFRawStream) || object.transform || object.dict.has(PDFName.of('Filter'))) return;
+    const type = object.dict.get(PDFName.of('Type'));
+    if (type instanceof PDFName && type.decodeText() === 'Metadata') return;
+
+    const stream = context.flateStream(object.contents);
+    if (stream.contents.length >= object.contents.length) return;
+    object.dict.entries().forEach(([key, value]) => {
+      if (key !== PDFName.of('Length')) stream.dict.set(key, value);
+    });
+    context.assign(ref, stream);
+    compressed++;
+  });
+  return compressed;
+}
+
+// Image XObject ref -> largest page size { width, height } it is drawn on, looking into form XObjects too
+function getImagePageSizes(pdfDoc) {
+  const context = pdfDoc.context;
+  const sizes = new Map();
+
+  const collect = (resources, size, seenForms) => {
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects) return;
+
+    xObjects.values().forEach(ref => {
+      if (!(ref instanceof PDFRef)) return;
+      const xObject = context.lookup(ref);
+      if (!(xObject instanceof PDFStream)) return;
+
+      const subtype = xObject.dict.get(PDFName.of('Subtype'));
+      if (subtype === PDFName.of('Image')) {
+        const known = sizes.get(ref) || { width: 0, height: 0 };
+        sizes.set(ref, { width: Math.max(known.width, size.width), height: Math.max(known.height, size.height) });
+      } else if (subtype === PDFName.of('Form') && !seenForms.has(ref)) {
+        seenForms.add(ref);
+        collect(xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict), size, seenForms);
+      }
+    });
+  };
+
+  pdfDoc.getPages().forEach(page => collect(page.node.Resources(), page.getSize(), new Set()));
+  return sizes;
+}
+
+// Components of the colour spaces images are recompressed from (anything else is left alone)
+function getImageComponents(context, colorSpace) {
+  if (colorSpace === PDFName.of('DeviceRGB')) return 3;
+  if (colorSpace === PDFName.of('DeviceGray')) return 1;
+  if (colorSpace instanceof PDFArray && colorSpace.get(0) === PDFName.of('ICCBased')) {
+    const profile = context.lookup(colorSpace.get(1));
+    const components = profile instanceof PDFStream && profile.dict.lookupMaybe(PDFName.of('N'), PDFNumber);
+    return components && [1, 3].includes(components.asNumber()) ? components.asNumber() : null;
+  }
+  return null;
+}
+
+// Decode an image into something canvas can draw: JPEG via the browser, Flate and raw samples by hand
+async function decodeImage(image, width, height, components) {
+  const filter = image.dict.lookup(PDFName.of('Filter'));
+  if (filter === PDFName.of('DCTDecode')) {
+    return createImageBitmap(new Blob([image.contents], { type: 'image/jpeg' }));
+  }
+  // Predictors (DecodeParms) are not supported by pdf-lib's decoder
+  if ((filter && filter !== PDFName.of('FlateDecode')) || image.dict.has(PDFName.of('DecodeParms'))) return null;
+
+  const samples = filter ? decodePDFRawStream(image).decode() : image.contents;
+  if (samples.length < width * height * components) return null;
+
+  const pixels = new ImageData(width, height);
+  for (let i = 0; i < width * height; i++) {
+    const sample = i * components;
+    pixels.data[i * 4] = samples[sample];
+    pixels.data[i * 4 + 1] = samples[components === 3 ? sample + 1 : sample];
+    pixels.data[i * 4 + 2] = samples[components === 3 ? sample + 2 : sample];
+    pixels.data[i * 4 + 3] = 255;
+  }
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').putImageData(pixels, 0, 0);
+  return canvas;
+}
+
+// Downsample one image to the target DPI and store it as JPEG. Returns the new stream, or null
+// when the image is left as it is (unsupported format, or the result would not be smaller).
+async function recompressImage(context, image, pageSize, { dpi, quality }) {
+  const dict = image.dict;
+  const width = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+  const height = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+  const bitsPerComponent = dict.lookupMaybe(PDFName.of('BitsPerComponent'), PDFNumber);
+  const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+  const components = getImageComponents(context, colorSpace);
+
+  // Masks, colour-key masks and decode arrays depend on the exact sample values
+  if (!components || !bitsPerComponent || bitsPerComponent.asNumber() !== 8 ||
+    dict.get(PDFName.of('ImageMask')) === PDFBool.True || dict.has(PDFName.of('Mask')) || dict.has(PDFName.of('Decode'))) {
+    return null;
+  }
+
+  // The image is assumed to cover at most the whole page, so it never ends up below the target DPI
+  const scale = Math.min(1, Math.max(dpi * pageSize.width / (72 * width), dpi * pageSize.height / (72 * height)));
+
+  const source = await decodeImage(image, width, height, components);
+  if (!source) return null;
+
+  const canvas = new OffscreenCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+  const canvasContext = canvas.getContext('2d');
+  canvasContext.imageSmoothingQuality = 'high';
+  canvasContext.drawImage(source, 0, 0, canvas.width, canvas.height);
+  if (source.close) source.close();
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (bytes.length >= image.contents.length) return null;
+
+  const stream = context.stream(bytes, {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: canvas.width,
+    Height: canvas.height,
+    BitsPerComponent: 8,
+    Filter: 'DCTDecode'
+  });
+  // Canvas always encodes colour JPEGs; an RGB ICC profile still applies to them
+  stream.dict.set(PDFName.of('ColorSpace'), components === 3 ? colorSpace : PDFName.of('DeviceRGB'));
+  ['SMask', 'Intent', 'Interpolate'].forEach(key => {
+    const value = dict.get(PDFName.of(key));
+    if (value) stream.dict.set(PDFName.of(key), value);
+  });
+  return stream;
+}
+
+async function recompressImages(pdfDoc, options) {
+  if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+    console.warn('Image recompression needs OffscreenCanvas, images are kept as they are');
+    return 0;
+  }
+
+  const context = pdfDoc.context;
+  let recompressed = 0;
+  // Soft masks are not drawn on a page themselves, so they are never in this list
+  for (const [ref, pageSize] of getImagePageSizes(pdfDoc)) {
+    const image = context.lookup(ref);
+    if (!(image instanceof PDFRawStream) || image.transform) continue;
+
+    try {
+      const stream = await recompressImage(context, image, pageSize, options);
+      if (stream) {
+        context.assign(ref, stream);
+        recompressed++;
+      }
+    } catch (error) {
+      console.warn(`Image ${ref} kept as it is:`, error.message);
+    }
+  }
+  return recompressed;
+}
+
+// Rough size of the saved document, without saving it. Streams are written as they are; the
+// other objects go into deflated object streams, which take about a third of their size.
+function estimateObjectsSize(context) {
+  let size = 0;
+  context.enumerateIndirectObjects().forEach(([ref, object]) => {
+    size += object instanceof PDFStream
+      ? object.sizeInBytes() + ref.sizeInBytes() + 15
+      : (object.sizeInBytes() + ref.sizeInBytes()) / 3;
+  });
+  return Math.round(size);
+}
+
+// Optimize a finished document in place. options: { images: { dpi, quality } | null }.
+// Returns { saved, images, merged, removed, compressed }. saved is estimated from the objects
+// before and after, so the document is not saved an extra time just to measure it.
+async function optimizePdf(pdfDoc, options) {
+  // Pages embedded by imposePages are only written into their forms on flush; until then the
+  // forms do not point at the page contents and removeUnusedObjects would drop them
+  await pdfDoc.flush();
+  const context = pdfDoc.context;
+  const sizeBefore = estimateObjectsSize(context);
+
+  const images = options.images ? await recompressImages(pdfDoc, options.images) : 0;
+  const merged = deduplicateObjects(context);
+  const removed = removeUnusedObjects(context);
+  const compressed = compressStreams(context);
+
+  const saved = Math.max(0, sizeBefore - estimateObjectsSize(context));
+
+  console.log(`✓ Optimized: ${images} image(s) recompressed, ${merged} duplicate(s) merged, ${removed} unused object(s) removed, ${compressed} stream(s) compressed`);
+  return { saved, images, merged, removed, compressed };
+}
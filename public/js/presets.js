@@ -0,0 +1,246 @@
+// Presets: the sidebar settings plus a short recipe of page operations, saved under a name in
+// localStorage. Running one applies the settings, runs the recipe on the loaded pages as one undo
+// step and can go straight on to Merge or Extract. Presets move between browsers as JSON files.
+
+const presetSelect = document.getElementById('presetSelect');
+const runPresetBtn = document.getElementById('runPresetBtn');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+const importPresetsBtn = document.getElementById('importPresetsBtn');
+const presetFileInput = document.getElementById('presetFileInput');
+const presetName = document.getElementById('presetName');
+const presetDropFirst = document.getElementById('presetDropFirst');
+const presetRotateLandscape = document.getElementById('presetRotateLandscape');
+const presetSelection = document.getElementById('presetSelection');
+const presetExport = document.getElementById('presetExport');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const presetSummary = document.getElementById('presetSummary');
+
+const PRESET_STORAGE_KEY = 'pdf-manager-presets';
+const PRESET_FORMAT = 'pdf-manager-presets';
+const PRESET_VERSION = 1;
+const PRESET_EXPORTS = ['none', 'merge', 'extract'];
+
+// Recipe steps, run in the order they are listed in the preset
+const PRESET_STEPS = {
+  dropFirstPage: {
+    label: () => 'drop the first page of every file',
+    run: (pages) => {
+      const firsts = new Map(); // fileIndex -> its first page in the grid
+      pages.forEach(page => {
+        if (!page.synthetic && !firsts.has(page.fileIndex)) firsts.set(page.fileIndex, page.id);
+      });
+      pageManager.removePages([...firsts.values()]);
+    }
+  },
+  rotateLandscape: {
+    label: () => 'rotate landscape pages',
+    run: (pages) => {
+      const landscape = pages.filter(page => {
+        const [width, height] = getDisplayedPageSize(page);
+        return width > height;
+      });
+      pageManager.rotatePages(landscape.map(p => p.id), 90);
+    }
+  },
+  select: {
+    label: (step) => `select ${step.expression}`,
+    run: (pages, step) => pageManager.selectOnly(parseSelectionExpression(step.expression, pages), `Select ${step.expression}`)
+  }
+};
+
+let presets = loadPresets();
+
+runPresetBtn.addEventListener('click', () => {
+  const preset = presets.find(p => p.name === presetSelect.value);
+  if (preset) runPreset(preset);
+});
+deletePresetBtn.addEventListener('click', handleDeletePreset);
+savePresetBtn.addEventListener('click', handleSavePreset);
+exportPresetsBtn.addEventListener('click', exportPresets);
+importPresetsBtn.addEventListener('click', () => presetFileInput.click());
+presetFileInput.addEventListener('change', async () => {
+  const file = presetFileInput.files[0];
+  presetFileInput.value = '';
+  if (file) await importPresets(file);
+});
+presetSelect.addEventListener('change', showPresetSummary);
+renderPresetList();
+
+// Check a preset from storage or an imported file; returns a clean copy
+function validatePreset(preset) {
+  if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+    throw new Error('A preset has no name');
+  }
+  if (!preset.settings || typeof preset.settings !== 'object' || !Array.isArray(preset.steps)) {
+    throw new Error(`Preset "${preset.name}" is incomplete`);
+  }
+  preset.steps.forEach(step => {
+    const valid = step && PRESET_STEPS[step.type] &&
+      (step.type !== 'select' || (typeof step.expression === 'string' && step.expression.trim()));
+    if (!valid) throw new Error(`Preset "${preset.name}" has an unknown step`);
+  });
+  if (!PRESET_EXPORTS.includes(preset.export)) {
+    throw new Error(`Preset "${preset.name}" has an unknown export "${preset.export}"`);
+  }
+
+  // Only settings the sidebar still has are kept
+  const settings = Object.fromEntries(Object.entries(preset.settings).filter(([id]) => OUTPUT_SETTING_IDS.includes(id)));
+  return { name: preset.name.trim(), settings, steps: preset.steps, export: preset.export };
+}
+
+// A stored preset that is no longer valid is dropped, the others are kept
+function loadPresets() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.warn('✗ Stored presets could not be read:', error);
+    return [];
+  }
+
+  return (Array.isArray(stored) ? stored : []).flatMap(preset => {
+    try {
+      return [validatePreset(preset)];
+    } catch (error) {
+      console.warn('✗ Dropped a stored preset:', error.message);
+      return [];
+    }
+  });
+}
+
+function storePresets() {
+  localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+// Add or replace (by name) and keep the list sorted
+function putPreset(preset) {
+  presets = [...presets.filter(p => p.name !== preset.name), preset]
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function describePreset(preset) {
+  const parts = preset.steps.map(step => PRESET_STEPS[step.type].label(step));
+  if (preset.export !== 'none') parts.push(preset.export);
+  return parts.length > 0 ? `Settings, then ${parts.join(', ')}` : 'Settings only';
+}
+
+function renderPresetList(selectedName = presetSelect.value) {
+  presetSelect.innerHTML = '';
+  presets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.name;
+    option.textContent = preset.name;
+    presetSelect.appendChild(option);
+  });
+  if (presets.some(p => p.name === selectedName)) presetSelect.value = selectedName;
+
+  const empty = presets.length === 0;
+  presetSelect.disabled = empty;
+  runPresetBtn.disabled = empty;
+  deletePresetBtn.disabled = empty;
+  exportPresetsBtn.disabled = empty;
+  showPresetSummary();
+}
+
+function showPresetSummary() {
+  const preset = presets.find(p => p.name === presetSelect.value);
+  presetSummary.textContent = preset ? describePreset(preset) : 'No presets saved yet';
+}
+
+// Save the current sidebar settings and the recipe options under a name
+function handleSavePreset() {
+  const name = presetName.value.trim();
+  if (!name) {
+    alert('Enter a name for the preset');
+    return;
+  }
+
+  const steps = [];
+  if (presetDropFirst.checked) steps.push({ type: 'dropFirstPage' });
+  if (presetRotateLandscape.checked) steps.push({ type: 'rotateLandscape' });
+  // The expression is checked when the preset runs, against the pages loaded then
+  const expression = presetSelection.value.trim();
+  if (expression) steps.push({ type: 'select', expression });
+
+  if (presets.some(p => p.name === name) && !confirm(`Replace the preset "${name}"?`)) return;
+  putPreset({ name, settings: readOutputSettings(), steps, export: presetExport.value });
+  storePresets();
+  renderPresetList(name);
+  console.log(`✓ Preset "${name}" saved (${steps.length} step(s))`);
+}
+
+function handleDeletePreset() {
+  const name = presetSelect.value;
+  if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+  presets = presets.filter(p => p.name !== name);
+  storePresets();
+  renderPresetList();
+  console.log(`✓ Preset "${name}" deleted`);
+}
+
+async function runPreset(preset) {
+  console.log(`=== RUNNING PRESET "${preset.name}" ===`);
+  if (pageManager.getAllPages().length === 0) {
+    alert('Upload PDF files before running a preset');
+    return;
+  }
+
+  applyOutputSettings(preset.settings);
+
+  // The whole recipe is one undo step; a step that fails takes the earlier ones back with it
+  const history = pageManager.history;
+  history.begin(`Run preset ${preset.name}`);
+  try {
+    preset.steps.forEach(step => PRESET_STEPS[step.type].run(pageManager.getAllPages(), step));
+  } catch (error) {
+    history.rollback();
+    syncGrid();
+    console.error('✗ ERROR running preset:', error);
+    alert(`Preset "${preset.name}" stopped: ${error.message}`);
+    return;
+  }
+  history.commit();
+  syncGrid();
+  console.log(`✓ Preset "${preset.name}": ${describePreset(preset)}`);
+
+  if (preset.export !== 'none' && pageManager.getAllPages().length === 0) {
+    alert(`Preset "${preset.name}" left no pages to ${preset.export}`);
+    return;
+  }
+  if (preset.export === 'merge') {
+    switchTab('merge');
+    await handleMerge();
+  } else if (preset.export === 'extract') {
+    switchTab('extract');
+    await handleExtract();
+  }
+}
+
+function exportPresets() {
+  const file = { format: PRESET_FORMAT, version: PRESET_VERSION, presets };
+  downloadFile(JSON.stringify(file, null, 2), 'pdf-manager.presets.json', 'application/json');
+  console.log(`✓ ${presets.length} preset(s) exported`);
+}
+
+// Presets with a name that is already saved replace the saved one
+async function importPresets(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || data.format !== PRESET_FORMAT || !Array.isArray(data.presets)) {
+      throw new Error('This is not a PDF Manager presets file');
+    }
+    if (data.version > PRESET_VERSION) {
+      throw new Error('These presets were saved by a newer version of PDF Manager');
+    }
+
+    const imported = data.presets.map(validatePreset);
+    imported.forEach(putPreset);
+    storePresets();
+    renderPresetList(imported.length > 0 ? imported[0].name : undefined);
+    console.log(`✓ ${imported.length} preset(s) imported from "${file.name}"`);
+  } catch (error) {
+    console.error('✗ ERROR importing presets:', error);
+    alert(`Could not import "${file.name}": ${error instanceof SyntaxError ? 'the file is not valid JSON' : error.message}`);
+  }
+}
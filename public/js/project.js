@@ -0,0 +1,231 @@
+// Project files: the page plan as portable JSON. Source PDFs are not included, they are
+// identified by name and SHA-256 and supplied again (or picked up from the workspace) on import.
+
+const saveProjectBtn = document.getElementById('saveProjectBtn');
+const openProjectBtn = document.getElementById('openProjectBtn');
+const projectFileInput = document.getElementById('projectFileInput');
+const projectModal = document.getElementById('projectModal');
+const projectModalMessage = document.getElementById('projectModalMessage');
+const projectFilesList = document.getElementById('projectFilesList');
+const projectSourcesBtn = document.getElementById('projectSourcesBtn');
+const projectSourceInput = document.getElementById('projectSourceInput');
+const projectCancelBtn = document.getElementById('projectCancelBtn');
+const projectRebuildBtn = document.getElementById('projectRebuildBtn');
+
+const PROJECT_FORMAT = 'pdf-manager-project';
+const PROJECT_VERSION = 1;
+
+const fileHashes = new WeakMap(); // File -> hex SHA-256, files are immutable so hashing once is enough
+let pendingProject = null; // { project, name, sources: [{ file, status } | null] } while the import dialog is open
+
+saveProjectBtn.addEventListener('click', saveProject);
+openProjectBtn.addEventListener('click', () => projectFileInput.click());
+projectFileInput.addEventListener('change', async () => {
+  const file = projectFileInput.files[0];
+  projectFileInput.value = '';
+  if (file) await openProjectFile(file);
+});
+projectSourcesBtn.addEventListener('click', () => projectSourceInput.click());
+projectSourceInput.addEventListener('change', async () => {
+  const files = Array.from(projectSourceInput.files);
+  projectSourceInput.value = '';
+  await matchProjectSources(files);
+  renderProjectSources();
+});
+projectCancelBtn.addEventListener('click', () => {
+  pendingProject = null;
+  projectModal.classList.add('hidden');
+});
+projectRebuildBtn.addEventListener('click', rebuildFromProject);
+
+async function hashFile(file) {
+  if (!fileHashes.has(file)) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    fileHashes.set(file, Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join(''));
+  }
+  return fileHashes.get(file);
+}
+
+async function saveProject() {
+  if (pageManager.getAllPages().length === 0) {
+    alert('Add some pages before saving a project.');
+    return;
+  }
+
+  const originalText = saveProjectBtn.innerHTML;
+  saveProjectBtn.disabled = true;
+  saveProjectBtn.textContent = 'Hashing files...';
+
+  try {
+    const plan = describeCurrentPlan();
+    const files = [];
+    for (const file of pageManager.originalFiles) {
+      files.push({ name: file.name, size: file.size, sha256: await hashFile(file) });
+    }
+
+    const project = {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      savedAt: new Date().toISOString(),
+      files,
+      pages: plan.pages,
+      settings: plan.settings
+    };
+    const name = currentSession ? currentSession.name : (await planMergeName(pageManager.getAllPages())).replace(/\.pdf$/, '');
+    downloadFile(JSON.stringify(project, null, 2), `${name}.project.json`, 'application/json');
+    console.log(`✓ Project saved (${files.length} files, ${plan.pages.length} pages)`);
+  } catch (error) {
+    console.error('✗ ERROR saving project:', error);
+    alert(`Error saving project: ${error.message}`);
+  } finally {
+    saveProjectBtn.disabled = false;
+    saveProjectBtn.innerHTML = originalText;
+  }
+}
+
+// Check the parts of a project file the rebuild relies on
+function validateProject(project) {
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error('This is not a PDF Manager project file');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error('This project was saved by a newer version of PDF Manager');
+  }
+  if (!Array.isArray(project.files) || !Array.isArray(project.pages)) {
+    throw new Error('The project file is incomplete');
+  }
+
+  project.pages.forEach((page, index) => {
+    const validSource = page.synthetic
+      ? ['blank', 'separator'].includes(page.synthetic.type)
+      : Number.isInteger(page.fileIndex) && page.fileIndex >= 0 && page.fileIndex < project.files.length &&
+        Number.isInteger(page.originalPageNum) && page.originalPageNum > 0;
+    const crop = page.crop;
+    const validCrop = !crop || (['left', 'top', 'right', 'bottom'].every(side => typeof crop[side] === 'number' && crop[side] >= 0) &&
+      crop.left + crop.right < 1 && crop.top + crop.bottom < 1);
+    if (!validSource || !validCrop || ![0, 90, 180, 270].includes(page.rotation)) {
+      throw new Error(`Page ${index + 1} of the project is invalid`);
+    }
+  });
+}
+
+async function openProjectFile(file) {
+  console.log('=== OPENING PROJECT ===', file.name);
+  try {
+    const project = JSON.parse(await file.text());
+    validateProject(project);
+
+    pendingProject = {
+      project,
+      name: file.name.replace(/(\.project)?\.json$/i, ''),
+      sources: project.files.map(() => null)
+    };
+
+    // Files already in the workspace are the most likely sources
+    await matchProjectSources(pageManager.originalFiles);
+    renderProjectSources();
+    projectModal.classList.remove('hidden');
+  } catch (error) {
+    console.error('✗ ERROR opening project:', error);
+    alert(`Could not open "${file.name}": ${error instanceof SyntaxError ? 'the file is not valid JSON' : error.message}`);
+  }
+}
+
+// Assign files to the project's sources: identical content first, then same name with different content
+async function matchProjectSources(files) {
+  const { project, sources } = pendingProject;
+
+  for (const file of files) {
+    const hash = await hashFile(file);
+    const index = project.files.findIndex((entry, i) => entry.sha256 === hash && (!sources[i] || sources[i].status !== 'matched'));
+    if (index !== -1) {
+      sources[index] = { file, status: 'matched' };
+      continue;
+    }
+
+    const byName = project.files.findIndex((entry, i) => entry.name === file.name && !sources[i]);
+    if (byName !== -1) {
+      sources[byName] = { file, status: 'mismatch' };
+      console.warn(`"${file.name}" does not match the hash stored in the project`);
+    }
+  }
+}
+
+function renderProjectSources() {
+  const { project, sources } = pendingProject;
+  const missing = sources.filter(source => !source).length;
+
+  projectModalMessage.textContent = missing > 0
+    ? `Choose the source PDFs for this project (${missing} of ${sources.length} still missing).`
+    : `All ${sources.length} source file(s) found. ${project.pages.length} page(s) will be laid out.`;
+
+  projectFilesList.innerHTML = '';
+  project.files.forEach((entry, index) => {
+    const source = sources[index];
+    const row = document.createElement('div');
+    row.className = 'flex items-start gap-3 py-2 border-b border-gray-100';
+
+    let icon = 'bi-x-circle text-gray-400';
+    let detail = 'Missing';
+    if (source && source.status === 'matched') {
+      icon = 'bi-check-circle-fill text-green-600';
+      detail = source.file.name === entry.name ? 'Found' : `Found as ${source.file.name}`;
+    } else if (source) {
+      icon = 'bi-exclamation-triangle-fill text-amber-500';
+      detail = 'Content differs from the saved file (SHA-256 mismatch), pages may not line up';
+    }
+
+    row.innerHTML = `
+      <i class="bi ${icon} mt-0.5"></i>
+      <div class="min-w-0">
+        <p class="project-file-name text-sm font-medium text-gray-900 truncate"></p>
+        <p class="text-xs ${source && source.status === 'mismatch' ? 'text-amber-700' : 'text-gray-500'}">${detail}</p>
+      </div>
+    `;
+    row.querySelector('.project-file-name').textContent = entry.name;
+    projectFilesList.appendChild(row);
+  });
+
+  projectRebuildBtn.disabled = missing > 0;
+}
+
+// Replace the workspace with the project's pages; it becomes a new session of its own
+async function rebuildFromProject() {
+  const { project, name, sources } = pendingProject;
+  pendingProject = null;
+  projectModal.classList.add('hidden');
+  console.log('=== REBUILDING PROJECT ===', name);
+
+  await saveCurrentSession();
+  sessionRestoring = true;
+  restoreBanner.classList.add('hidden');
+  clearWorkspace();
+  currentSession = null;
+  uploadZone.classList.add('hidden');
+  pagesGrid.classList.remove('hidden');
+
+  try {
+    const skipped = await rebuildWorkspace(sources.map(source => source.file), project.pages);
+    applyOutputSettings(project.settings);
+    startSessionRecord(name);
+
+    const mismatched = project.files.filter((entry, index) => sources[index].status === 'mismatch');
+    console.log(`✓ Project "${name}" rebuilt (${project.pages.length - skipped} pages)`);
+
+    const warnings = [];
+    if (mismatched.length > 0) {
+      warnings.push(`These files differ from the ones the project was saved with, check the page order:\n${mismatched.map(entry => `• ${entry.name}`).join('\n')}`);
+    }
+    if (skipped > 0) {
+      warnings.push(`${skipped} page(s) were left out because their file could not be opened, was not unlocked or has fewer pages.`);
+    }
+    if (warnings.length > 0) alert(warnings.join('\n\n'));
+  } catch (error) {
+    console.error('✗ ERROR rebuilding project:', error);
+    clearWorkspace();
+    alert(`Error opening project: ${error.message}`);
+  } finally {
+    sessionRestoring = false;
+    syncGrid();
+  }
+}
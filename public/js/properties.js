@@ -0,0 +1,61 @@
+// Document Properties: Title/Author/Subject/Keywords/Creator written into every produced PDF
+
+const propTitle = document.getElementById('propTitle');
+const propAuthor = document.getElementById('propAuthor');
+const propSubject = document.getElementById('propSubject');
+const propKeywords = document.getElementById('propKeywords');
+const propCreator = document.getElementById('propCreator');
+
+// Fields the user typed into are not overwritten by later uploads
+document.querySelectorAll('.doc-property').forEach(input => {
+  input.addEventListener('input', () => input.dataset.edited = 'true');
+});
+
+// Pre-fill the panel from a source document's Info dictionary (read via pdf.js)
+async function prefillDocumentProperties(pdf) {
+  try {
+    const { info } = await pdf.getMetadata();
+    const values = {
+      propTitle: info.Title,
+      propAuthor: info.Author,
+      propSubject: info.Subject,
+      propKeywords: info.Keywords,
+      propCreator: info.Creator
+    };
+
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (!input.dataset.edited) {
+        input.value = typeof value === 'string' ? value.trim() : '';
+      }
+    });
+    console.log('✓ Document properties pre-filled from', info.Title ? `"${info.Title}"` : 'file without title');
+  } catch (error) {
+    console.warn('Could not read document metadata:', error);
+  }
+}
+
+// Replace {source} and {page} with the values of the pages in this output
+function resolvePropertyTokens(template, pages) {
+  const allPages = pageManager.getAllPages();
+  const positions = pages.map(p => allPages.indexOf(p) + 1).filter(n => n > 0);
+  const sourcePage = pages.find(p => !p.synthetic) || pages[0];
+
+  const source = sourcePage ? sourcePage.fileName.replace(/\.[^.]+$/, '') : '';
+  const first = Math.min(...positions);
+  const last = Math.max(...positions);
+  const page = positions.length === 0 ? '' : first === last ? `${first}` : `${first}-${last}`;
+
+  return template.replace(/\{source\}/g, source).replace(/\{page\}/g, page);
+}
+
+// Panel values for one output document, written by setDocumentProperties when it is built
+function getDocumentProperties(pages) {
+  return {
+    title: resolvePropertyTokens(propTitle.value.trim(), pages),
+    author: propAuthor.value.trim(),
+    subject: propSubject.value.trim(),
+    keywords: propKeywords.value.split(',').map(k => k.trim()).filter(Boolean),
+    creator: propCreator.value.trim()
+  };
+}
@@ -0,0 +1,157 @@
+// Full-text search: reads every page's text with pdf.js once, then highlights (or filters to)
+// the cards that match and can select them, ready for Extract.
+
+const searchInput = document.getElementById('searchInput');
+const searchRegex = document.getElementById('searchRegex');
+const searchCase = document.getElementById('searchCase');
+const searchFilter = document.getElementById('searchFilter');
+const searchSummary = document.getElementById('searchSummary');
+const selectMatchesBtn = document.getElementById('selectMatchesBtn');
+const clearSearchBtn = document.getElementById('clearSearchBtn');
+
+const pageTextCache = new WeakMap(); // pdfPage -> normalized text
+let searchHits = new Map(); // pageId -> number of matches, for the current query
+let searchTimer = null;
+let searchRun = 0; // Increases with every search so an outdated run stops early
+
+searchInput.addEventListener('input', scheduleSearch);
+[searchRegex, searchCase].forEach(option => option.addEventListener('change', scheduleSearch));
+searchFilter.addEventListener('change', updateSearchHighlights);
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') runSearch();
+  if (e.key === 'Escape') clearSearch();
+});
+selectMatchesBtn.addEventListener('click', handleSelectMatches);
+clearSearchBtn.addEventListener('click', clearSearch);
+
+// Text of a page with whitespace collapsed, pdf.js splits lines and words into separate items
+async function getPageText(pdfPage) {
+  if (!pageTextCache.has(pdfPage)) {
+    try {
+      const textContent = await pdfPage.getTextContent();
+      pageTextCache.set(pdfPage, textContent.items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim());
+    } catch (error) {
+      // Searched as a page without text rather than failing the whole search
+      console.warn('Could not read page text:', error);
+      pageTextCache.set(pdfPage, '');
+    }
+  }
+  return pageTextCache.get(pdfPage);
+}
+
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 250);
+}
+
+// Build the pattern for the current options; throws on an invalid regular expression
+function buildSearchPattern(query) {
+  const source = searchRegex.checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, searchCase.checked ? 'g' : 'gi');
+}
+
+function countMatches(pattern, text) {
+  let count = 0;
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    count++;
+    // Patterns that can match nothing (e.g. "a*") would loop forever
+    if (match[0] === '') pattern.lastIndex++;
+  }
+  return count;
+}
+
+async function runSearch() {
+  clearTimeout(searchTimer);
+  const run = ++searchRun;
+  const query = searchInput.value;
+
+  if (!query.trim()) {
+    searchHits = new Map();
+    setSearchSummary('');
+    updateSearchHighlights();
+    return;
+  }
+
+  let pattern;
+  try {
+    pattern = buildSearchPattern(query);
+  } catch (error) {
+    setSearchSummary(`Invalid pattern: ${error.message}`, true);
+    return;
+  }
+
+  const pages = [...pageManager.getAllPages()];
+  const hits = new Map();
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    if (!pageTextCache.has(page.pdfPage)) setSearchSummary(`Reading text ${i + 1}/${pages.length}...`);
+    const text = await getPageText(page.pdfPage);
+    if (run !== searchRun) return; // A newer search took over
+
+    const count = countMatches(pattern, text);
+    if (count > 0) hits.set(page.id, count);
+  }
+
+  searchHits = hits;
+  const total = [...hits.values()].reduce((sum, count) => sum + count, 0);
+  setSearchSummary(hits.size === 0 ? 'No matches' : `${total} match(es) on ${hits.size} page(s)`);
+  updateSearchHighlights();
+  console.log(`✓ Search "${query}": ${total} matches on ${hits.size} pages`);
+}
+
+function setSearchSummary(text, isError = false) {
+  searchSummary.textContent = text;
+  searchSummary.classList.toggle('text-red-600', isError);
+  searchSummary.classList.toggle('text-gray-500', !isError);
+}
+
+function isSearchActive() {
+  return searchInput.value.trim() !== '';
+}
+
+// Called from syncGrid as well: mark matching cards and hide the rest when filtering
+function updateSearchHighlights() {
+  const active = isSearchActive();
+  let needsText = false;
+
+  pageManager.getAllPages().forEach(page => {
+    const pageDiv = pageCards.get(page.id);
+    if (!pageDiv) return;
+
+    const hits = active ? searchHits.get(page.id) || 0 : 0;
+    if (active && !pageTextCache.has(page.pdfPage)) needsText = true;
+
+    pageDiv.classList.toggle('search-match', hits > 0);
+    pageDiv.classList.toggle('search-filtered', active && searchFilter.checked && hits === 0);
+
+    let badge = pageDiv.querySelector('.search-hits');
+    if (hits === 0) {
+      if (badge) badge.remove();
+      return;
+    }
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.className = 'search-hits absolute bottom-5 left-5 z-10 bg-yellow-300 text-yellow-900 text-xs font-semibold px-2 py-0.5 rounded-full shadow';
+      pageDiv.firstElementChild.appendChild(badge);
+    }
+    badge.textContent = hits === 1 ? '1 hit' : `${hits} hits`;
+  });
+
+  updateGridFocus(pageManager.getAllPages());
+  selectMatchesBtn.disabled = searchHits.size === 0;
+  // Pages loaded after the search still have to be read
+  if (needsText) scheduleSearch();
+}
+
+function handleSelectMatches() {
+  const ids = pageManager.getAllPages().filter(page => searchHits.has(page.id)).map(page => page.id);
+  pageManager.selectOnly(ids, 'Select search matches');
+  syncGrid();
+}
+
+function clearSearch() {
+  searchInput.value = '';
+  runSearch();
+}
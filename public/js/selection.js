@@ -0,0 +1,89 @@
+// Selection expressions: "1-5, 8, 12-end", "odd", "even", "file:2", "!3-4"
+
+const selectionExpression = document.getElementById('selectionExpression');
+const applySelectionBtn = document.getElementById('applySelectionBtn');
+const invertSelectionBtn = document.getElementById('invertSelectionBtn');
+const selectionError = document.getElementById('selectionError');
+
+applySelectionBtn.addEventListener('click', handleApplySelection);
+invertSelectionBtn.addEventListener('click', handleInvertSelection);
+selectionExpression.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') handleApplySelection();
+});
+selectionExpression.addEventListener('input', () => showSelectionError(''));
+
+// Resolve an expression against the current page order and return the matching page ids.
+// Terms are comma separated and applied left to right; a leading "!" removes pages.
+// An expression made only of "!" terms starts from every page.
+function parseSelectionExpression(expression, pages) {
+  const terms = expression.split(',').map(t => t.trim()).filter(Boolean);
+  if (terms.length === 0) {
+    throw new Error('Enter pages to select, e.g. 1-5, 8, odd');
+  }
+
+  const total = pages.length;
+  const startFromAll = terms.every(t => t.startsWith('!'));
+  const selected = new Set(startFromAll ? pages.map((_, i) => i) : []);
+
+  terms.forEach(term => {
+    const negate = term.startsWith('!');
+    const body = negate ? term.slice(1).trim() : term;
+    const indices = resolveSelectionTerm(body, pages, total);
+    indices.forEach(i => (negate ? selected.delete(i) : selected.add(i)));
+  });
+
+  return [...selected].sort((a, b) => a - b).map(i => pages[i].id);
+}
+
+// Return the 0-based positions matched by a single term
+function resolveSelectionTerm(term, pages, total) {
+  const keyword = term.toLowerCase();
+  const positions = pages.map((_, i) => i);
+
+  if (keyword === 'all') return positions;
+  if (keyword === 'odd') return positions.filter(i => i % 2 === 0);
+  if (keyword === 'even') return positions.filter(i => i % 2 === 1);
+
+  const fileMatch = keyword.match(/^file\s*:\s*(\d+)$/);
+  if (fileMatch) {
+    const fileNumber = parseInt(fileMatch[1], 10);
+    if (fileNumber < 1 || fileNumber > pageManager.originalFiles.length) {
+      throw new Error(`"${term}": there are only ${pageManager.originalFiles.length} file(s) loaded`);
+    }
+    return positions.filter(i => pages[i].fileIndex === fileNumber - 1);
+  }
+
+  const { start, end } = parsePageRange(term, total);
+  return positions.slice(start - 1, end);
+}
+
+function showSelectionError(message) {
+  selectionError.textContent = message;
+  selectionError.classList.toggle('hidden', !message);
+  selectionExpression.classList.toggle('border-red-500', !!message);
+}
+
+// Handle selection expression
+function handleApplySelection() {
+  const pages = pageManager.getAllPages();
+  if (pages.length === 0) {
+    showSelectionError('Load a PDF first');
+    return;
+  }
+
+  try {
+    const ids = parseSelectionExpression(selectionExpression.value, pages);
+    console.log(`Selection "${selectionExpression.value}" matched ${ids.length} page(s)`);
+    pageManager.selectOnly(ids, `Select ${selectionExpression.value.trim()}`);
+    showSelectionError('');
+    syncGrid();
+  } catch (error) {
+    showSelectionError(error.message);
+  }
+}
+
+// Handle invert selection
+function handleInvertSelection() {
+  pageManager.invertSelection();
+  syncGrid();
+}
@@ -0,0 +1,429 @@
+// Sessions: the loaded files and the page plan are saved to IndexedDB after every change,
+// so work survives a reload or a crash. Several named sessions can be kept and reopened.
+// Passwords of encrypted files are never stored, they are asked for again on restore.
+
+const sessionsBtn = document.getElementById('sessionsBtn');
+const sessionStatus = document.getElementById('sessionStatus');
+const sessionsModal = document.getElementById('sessionsModal');
+const sessionsList = document.getElementById('sessionsList');
+const sessionNameInput = document.getElementById('sessionNameInput');
+const newSessionBtn = document.getElementById('newSessionBtn');
+const closeSessionsBtn = document.getElementById('closeSessionsBtn');
+const restoreBanner = document.getElementById('restoreBanner');
+const restoreBannerText = document.getElementById('restoreBannerText');
+const restoreSessionBtn = document.getElementById('restoreSessionBtn');
+const dismissRestoreBtn = document.getElementById('dismissRestoreBtn');
+
+const SESSION_DB_NAME = 'pdf-manager';
+const SESSION_SAVE_DELAY = 1000; // Coalesce bursts of edits into one write
+// Sidebar options kept with the page plan. Passwords and the watermark image file are left out.
+const OUTPUT_SETTING_IDS = [
+  'mergeFilename', 'keepStructure', 'groupBookmarksByFile',
+  'extractFilename', 'extractFolders', 'mergeSinglePdf', 'exportAsImages', 'imageFormat', 'imageDpi',
+  'splitRanges', 'splitEvery', 'splitFilename', 'splitFolders',
+  'watermarkType', 'watermarkText', 'watermarkSize', 'watermarkColor', 'watermarkImageScale',
+  'watermarkOpacity', 'watermarkRotation', 'watermarkPosition',
+  'headerText', 'headerAlign', 'footerText', 'footerAlign', 'stampFontSize',
+  'batesEnabled', 'batesPrefix', 'batesStart', 'batesDigits', 'batesPosition',
+  'propTitle', 'propAuthor', 'propSubject', 'propKeywords', 'propCreator',
+  'optimizeOutput', 'optimizeImages', 'optimizeImageDpi', 'optimizeImageQuality',
+  'pageSizeMode', 'customPageWidth', 'customPageHeight', 'pageScaleMode', 'nUpMode'
+];
+
+let sessionDbPromise = null;
+let currentSession = null; // { id, name, createdAt } once something has been saved
+let savedFiles = { list: null, count: 0 }; // Which originalFiles are already stored for currentSession
+let sessionSaveTimer = null;
+let sessionRestoring = false;
+
+sessionsBtn.addEventListener('click', async () => {
+  try {
+    await openSessionsModal();
+  } catch (error) {
+    console.error('✗ ERROR opening sessions:', error);
+    alert(`Error opening sessions: ${error.message}`);
+  }
+});
+closeSessionsBtn.addEventListener('click', () => sessionsModal.classList.add('hidden'));
+newSessionBtn.addEventListener('click', startNewSession);
+dismissRestoreBtn.addEventListener('click', () => restoreBanner.classList.add('hidden'));
+sessionNameInput.addEventListener('change', renameCurrentSession);
+OUTPUT_SETTING_IDS.forEach(id => {
+  const input = document.getElementById(id);
+  input.addEventListener('input', scheduleSessionSave);
+  input.addEventListener('change', scheduleSessionSave);
+});
+
+// Promise wrappers around IndexedDB requests and transactions
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+function openSessionDb() {
+  if (!sessionDbPromise) {
+    sessionDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(SESSION_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('sessions', { keyPath: 'id' });
+        // One record per source file: { sessionId, fileIndex, file }
+        db.createObjectStore('files', { keyPath: ['sessionId', 'fileIndex'] });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return sessionDbPromise;
+}
+
+async function listSessions() {
+  const db = await openSessionDb();
+  const sessions = await idbRequest(db.transaction('sessions').objectStore('sessions').getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function setSessionStatus(text, isError = false) {
+  sessionStatus.textContent = text;
+  sessionStatus.classList.toggle('text-red-600', isError);
+  sessionStatus.classList.toggle('text-gray-500', !isError);
+}
+
+function readOutputSettings() {
+  return Object.fromEntries(OUTPUT_SETTING_IDS.map(id => {
+    const input = document.getElementById(id);
+    return [id, input.type === 'checkbox' ? input.checked : input.value];
+  }));
+}
+
+// Fill the sidebar from stored settings; change events let dependent options show or hide
+function applyOutputSettings(settings) {
+  Object.entries(settings || {}).forEach(([id, value]) => {
+    if (!OUTPUT_SETTING_IDS.includes(id)) return;
+    const input = document.getElementById(id);
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(value);
+    } else {
+      input.value = value;
+    }
+    input.dispatchEvent(new Event('change'));
+  });
+}
+
+// Snapshot of everything needed to rebuild the grid
+function describeCurrentPlan() {
+  return {
+    files: pageManager.originalFiles.map(file => ({ name: file.name, size: file.size })),
+    pages: pageManager.getAllPages().map(page => ({
+      fileIndex: page.fileIndex,
+      originalPageNum: page.originalPageNum,
+      rotation: page.rotation,
+      crop: page.crop,
+      selected: page.selected,
+      fileName: page.fileName,
+      synthetic: page.synthetic
+    })),
+    settings: readOutputSettings()
+  };
+}
+
+function scheduleSessionSave() {
+  if (sessionRestoring) return;
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(saveCurrentSession, SESSION_SAVE_DELAY);
+}
+
+async function saveCurrentSession() {
+  clearTimeout(sessionSaveTimer);
+  if (sessionRestoring) return;
+  // Nothing worth keeping yet
+  if (!currentSession && pageManager.originalFiles.length === 0) return;
+
+  try {
+    const db = await openSessionDb();
+    if (!currentSession) {
+      startSessionRecord(pageManager.originalFiles[0].name.replace(/\.[^.]+$/, ''));
+    }
+
+    const files = pageManager.originalFiles;
+    const plan = describeCurrentPlan();
+    const transaction = db.transaction(['sessions', 'files'], 'readwrite');
+    const fileStore = transaction.objectStore('files');
+
+    // "Clear all" (or undoing it) swaps the whole file list, store it again from scratch
+    if (savedFiles.list !== files) {
+      fileStore.delete(IDBKeyRange.bound([currentSession.id, 0], [currentSession.id, Infinity]));
+      savedFiles = { list: files, count: 0 };
+    }
+    for (let fileIndex = savedFiles.count; fileIndex < files.length; fileIndex++) {
+      fileStore.put({ sessionId: currentSession.id, fileIndex, file: files[fileIndex] });
+    }
+
+    transaction.objectStore('sessions').put({
+      ...currentSession,
+      updatedAt: Date.now(),
+      pageCount: plan.pages.length,
+      fileCount: files.length,
+      plan
+    });
+    await idbTransactionDone(transaction);
+
+    savedFiles.count = files.length;
+    setSessionStatus(`Saved ${new Date().toLocaleTimeString()}`);
+  } catch (error) {
+    // Typically the storage quota, the work itself is unaffected
+    console.error('✗ ERROR saving session:', error);
+    savedFiles = { list: null, count: 0 };
+    setSessionStatus('Not saved', true);
+  }
+}
+
+function startSessionRecord(name) {
+  const now = Date.now();
+  currentSession = { id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`, name, createdAt: now };
+  savedFiles = { list: null, count: 0 };
+  sessionNameInput.value = name;
+}
+
+// Drop every page and file without an undo step, the session itself stays stored
+function clearWorkspace() {
+  pageManager.reset();
+  pageCards.clear();
+  selectionAnchorId = null;
+  syncGrid();
+}
+
+// Open files (fileIndex = position in files) and lay out the planned pages on an empty workspace.
+// Returns how many pages were left out because their file could not be opened or is too short.
+async function rebuildWorkspace(files, plannedPages) {
+  const pdfs = new Map();
+  for (const file of files) {
+    const fileIndex = pageManager.originalFiles.push(file) - 1;
+    try {
+      pdfs.set(fileIndex, await openPdfWithPassword(file, fileIndex, await file.arrayBuffer()));
+      console.log(`✓ Reopened ${file.name}`);
+    } catch (error) {
+      // Its pages are skipped below, the other files are still worth rebuilding
+      if (error instanceof PasswordCancelledError) {
+        console.warn(`Skipped "${file.name}": no password entered`);
+      } else {
+        console.warn(`✗ Skipped "${file.name}": it could not be opened`, error);
+      }
+    }
+  }
+
+  let skipped = 0;
+  for (const plannedPage of plannedPages) {
+    const pdf = plannedPage.synthetic ? null : pdfs.get(plannedPage.fileIndex);
+    if (!plannedPage.synthetic && (!pdf || plannedPage.originalPageNum > pdf.numPages)) {
+      skipped++;
+      continue;
+    }
+
+    const pdfPage = plannedPage.synthetic
+      ? await loadSyntheticPreview(plannedPage.synthetic)
+      : await pdf.getPage(plannedPage.originalPageNum);
+    const page = pageManager.addPage({
+      canvas: null,
+      pdfPage,
+      originalPageNum: plannedPage.originalPageNum,
+      rotation: plannedPage.rotation,
+      crop: plannedPage.crop,
+      fileName: plannedPage.synthetic ? plannedPage.fileName : files[plannedPage.fileIndex].name,
+      fileIndex: plannedPage.fileIndex,
+      arrayBuffer: null,
+      synthetic: plannedPage.synthetic
+    });
+    page.selected = plannedPage.selected;
+    await addPageToGrid(page);
+  }
+
+  // The rebuilt state is the new starting point, not something to undo
+  pageManager.history.clear();
+  return skipped;
+}
+
+// Replace the workspace with a stored session
+async function restoreSession(sessionId) {
+  console.log('=== RESTORING SESSION ===');
+  await saveCurrentSession();
+
+  const db = await openSessionDb();
+  const session = await idbRequest(db.transaction('sessions').objectStore('sessions').get(sessionId));
+  if (!session) {
+    alert('This session no longer exists.');
+    return;
+  }
+  const fileRecords = await idbRequest(
+    db.transaction('files').objectStore('files').getAll(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]))
+  );
+
+  sessionRestoring = true;
+  sessionsModal.classList.add('hidden');
+  restoreBanner.classList.add('hidden');
+  clearWorkspace();
+  // Until the restore succeeds nothing may be written over the session we came from
+  currentSession = null;
+  savedFiles = { list: null, count: 0 };
+  uploadZone.classList.add('hidden');
+  pagesGrid.classList.remove('hidden');
+
+  try {
+    fileRecords.sort((a, b) => a.fileIndex - b.fileIndex);
+    const skipped = await rebuildWorkspace(fileRecords.map(record => record.file), session.plan.pages);
+    applyOutputSettings(session.plan.settings);
+
+    currentSession = { id: session.id, name: session.name, createdAt: session.createdAt };
+    savedFiles = { list: pageManager.originalFiles, count: fileRecords.length };
+    sessionNameInput.value = session.name;
+
+    console.log(`✓ Session "${session.name}" restored (${session.plan.pages.length - skipped} pages)`);
+    if (skipped > 0) {
+      alert(`${skipped} page(s) could not be restored because their file could not be opened or was not unlocked.`);
+    }
+  } catch (error) {
+    console.error('✗ ERROR restoring session:', error);
+    clearWorkspace();
+    alert(`Error restoring session: ${error.message}`);
+  } finally {
+    sessionRestoring = false;
+    syncGrid();
+  }
+}
+
+// Restore from a button; reading the session itself can fail when IndexedDB does
+async function handleRestoreSession(sessionId) {
+  try {
+    await restoreSession(sessionId);
+  } catch (error) {
+    console.error('✗ ERROR restoring session:', error);
+    alert(`Error restoring session: ${error.message}`);
+  }
+}
+
+// Keep the current session stored and start with an empty workspace
+async function startNewSession() {
+  await saveCurrentSession();
+  clearWorkspace();
+  currentSession = null;
+  savedFiles = { list: null, count: 0 };
+  sessionNameInput.value = '';
+  setSessionStatus('');
+  sessionsModal.classList.add('hidden');
+  console.log('✓ New session started');
+}
+
+async function renameCurrentSession() {
+  const name = sessionNameInput.value.trim();
+  if (!name || !currentSession) return;
+  currentSession.name = name;
+  await saveCurrentSession();
+  renderSessionsList();
+}
+
+async function deleteSession(sessionId) {
+  const db = await openSessionDb();
+  const transaction = db.transaction(['sessions', 'files'], 'readwrite');
+  transaction.objectStore('sessions').delete(sessionId);
+  transaction.objectStore('files').delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+  await idbTransactionDone(transaction);
+
+  // The open work stays on screen and is stored again as a new session on the next change
+  if (currentSession && currentSession.id === sessionId) {
+    currentSession = null;
+    savedFiles = { list: null, count: 0 };
+    sessionNameInput.value = '';
+    setSessionStatus('');
+  }
+  console.log(`✓ Session ${sessionId} deleted`);
+}
+
+async function openSessionsModal() {
+  await saveCurrentSession();
+  sessionNameInput.value = currentSession ? currentSession.name : '';
+  sessionNameInput.disabled = !currentSession;
+  sessionsModal.classList.remove('hidden');
+  await renderSessionsList();
+}
+
+async function renderSessionsList() {
+  let sessions;
+  try {
+    sessions = await listSessions();
+  } catch (error) {
+    sessionsList.innerHTML = `<p class="text-sm text-red-600">Sessions are unavailable: ${error.message}</p>`;
+    return;
+  }
+
+  sessionsList.innerHTML = '';
+  if (sessions.length === 0) {
+    sessionsList.innerHTML = '<p class="text-sm text-gray-500">No saved sessions yet.</p>';
+    return;
+  }
+
+  sessions.forEach(session => {
+    const isCurrent = currentSession && currentSession.id === session.id;
+    const row = document.createElement('div');
+    row.className = 'flex items-center justify-between gap-3 py-2 border-b border-gray-100';
+    row.innerHTML = `
+      <div class="min-w-0">
+        <p class="session-name text-sm font-medium text-gray-900 truncate"></p>
+        <p class="text-xs text-gray-500">
+          ${session.pageCount} page(s) · ${session.fileCount} file(s) · ${new Date(session.updatedAt).toLocaleString()}
+        </p>
+      </div>
+      <div class="flex gap-1 flex-shrink-0">
+        <button class="open-session-btn text-sm text-blue-600 hover:bg-blue-50 px-2 py-1 rounded" ${isCurrent ? 'disabled' : ''}>
+          ${isCurrent ? 'Open now' : 'Open'}
+        </button>
+        <button class="delete-session-btn text-sm text-red-600 hover:bg-red-50 px-2 py-1 rounded" title="Delete session">
+          <i class="bi bi-trash"></i>
+        </button>
+      </div>
+    `;
+    row.querySelector('.session-name').textContent = session.name;
+    row.querySelector('.open-session-btn').addEventListener('click', () => handleRestoreSession(session.id));
+    row.querySelector('.delete-session-btn').addEventListener('click', async () => {
+      if (!confirm(`Delete the session "${session.name}"? Its stored files are removed too.`)) return;
+      try {
+        await deleteSession(session.id);
+      } catch (error) {
+        console.error('✗ ERROR deleting session:', error);
+        alert(`Error deleting session: ${error.message}`);
+      }
+      renderSessionsList();
+    });
+    sessionsList.appendChild(row);
+  });
+}
+
+// On startup, offer the most recent session that still has pages
+async function offerSessionRestore() {
+  try {
+    const latest = (await listSessions()).find(session => session.pageCount > 0);
+    if (!latest) return;
+
+    restoreBannerText.textContent =
+      `${latest.name} · ${latest.pageCount} page(s) · ${new Date(latest.updatedAt).toLocaleString()}`;
+    restoreSessionBtn.onclick = () => handleRestoreSession(latest.id);
+    restoreBanner.classList.remove('hidden');
+  } catch (error) {
+    console.warn('Sessions are unavailable:', error.message);
+  }
+}
+
+offerSessionRestore();
@@ -0,0 +1,215 @@
+// Split tab: cut the current page sequence into several PDFs bundled as a ZIP
+
+const splitBtn = document.getElementById('splitBtn');
+const splitRanges = document.getElementById('splitRanges');
+const splitEvery = document.getElementById('splitEvery');
+const splitFilename = document.getElementById('splitFilename');
+const splitModeRadios = document.querySelectorAll('input[name="splitMode"]');
+
+const outlineCache = new WeakMap(); // File -> promise of its top-level outline entries
+
+splitBtn.addEventListener('click', handleSplit);
+splitModeRadios.forEach(radio => radio.addEventListener('change', updateSplitOptions));
+
+// Show only the input belonging to the chosen mode
+function updateSplitOptions() {
+  const mode = getSplitMode();
+  document.querySelectorAll('.split-option').forEach(input => {
+    input.classList.toggle('hidden', input.dataset.mode !== mode);
+  });
+}
+
+function getSplitMode() {
+  return document.querySelector('input[name="splitMode"]:checked').value;
+}
+
+// Parse "1-3, 4-10, 11-end" into [{ start, end }] (1-based, inclusive)
+function parseSplitRanges(expression, total) {
+  const parts = expression.split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error('Enter at least one page range, e.g. 1-3, 4-end');
+  }
+
+  return parts.map(part => parsePageRange(part, total));
+}
+
+// Read the top-level outline entries of a source file as [{ title, pageNum }]. The file name
+// preview asks on every grid change, files never change so each one is only parsed once.
+function getTopLevelOutline(fileIndex) {
+  const file = pageManager.originalFiles[fileIndex];
+  if (!outlineCache.has(file)) {
+    const entries = readTopLevelOutline(file, fileIndex);
+    entries.catch(() => outlineCache.delete(file));
+    outlineCache.set(file, entries);
+  }
+  return outlineCache.get(file);
+}
+
+async function readTopLevelOutline(file, fileIndex) {
+  const pdf = await pdfjsLib.getDocument({
+    data: await file.arrayBuffer(),
+    password: pageManager.getFilePassword(fileIndex)
+  }).promise;
+
+  try {
+    const outline = (await pdf.getOutline()) || [];
+    const entries = [];
+
+    for (const item of outline) {
+      let dest = item.dest;
+      if (typeof dest === 'string') {
+        dest = await pdf.getDestination(dest);
+      }
+      if (!Array.isArray(dest)) continue; // External links and actions have no page
+
+      const pageIndex = typeof dest[0] === 'number' ? dest[0] : await pdf.getPageIndex(dest[0]);
+      entries.push({ title: item.title, pageNum: pageIndex + 1 });
+    }
+
+    console.log(`✓ ${entries.length} top-level bookmark(s) in ${file.name}`);
+    return entries;
+  } finally {
+    pdf.destroy();
+  }
+}
+
+// Build the list of chunks ({ pages, start, end, title }) for the chosen mode
+async function buildSplitChunks(pages, mode) {
+  const total = pages.length;
+  const chunkFromRange = ({ start, end }, title = '') => ({
+    pages: pages.slice(start - 1, end),
+    start,
+    end,
+    title
+  });
+
+  if (mode === 'ranges') {
+    return parseSplitRanges(splitRanges.value, total).map(range => chunkFromRange(range));
+  }
+
+  if (mode === 'every') {
+    const size = parseInt(splitEvery.value, 10);
+    if (!size || size < 1) {
+      throw new Error('Enter how many pages each file should contain');
+    }
+
+    const chunks = [];
+    for (let start = 1; start <= total; start += size) {
+      chunks.push(chunkFromRange({ start, end: Math.min(start + size - 1, total) }));
+    }
+    return chunks;
+  }
+
+  // Bookmarks: a new chunk starts at every page targeted by a top-level entry
+  const bookmarks = new Map(); // "fileIndex:pageNum" -> title
+  const uniqueFileIndices = [...new Set(pages.filter(p => !p.synthetic).map(p => p.fileIndex))];
+  for (const fileIndex of uniqueFileIndices) {
+    const entries = await getTopLevelOutline(fileIndex);
+    entries.forEach(entry => {
+      const key = `${fileIndex}:${entry.pageNum}`;
+      if (!bookmarks.has(key)) bookmarks.set(key, entry.title);
+    });
+  }
+
+  if (bookmarks.size === 0) {
+    throw new Error('The loaded files have no top-level bookmarks to split at');
+  }
+
+  const chunks = [];
+  let current = null;
+  pages.forEach((page, index) => {
+    const key = `${page.fileIndex}:${page.originalPageNum}`;
+    if (!current || bookmarks.has(key)) {
+      current = { pages: [], start: index + 1, end: index + 1, title: bookmarks.get(key) || '' };
+      chunks.push(current);
+    }
+    current.pages.push(page);
+    current.end = index + 1;
+  });
+  return chunks;
+}
+
+// Names for the chunks: { names, zipName }. The template has Split's own tokens on top of the
+// ones in naming.js, names are kept unique inside the ZIP.
+async function planSplitNames(pages, chunks) {
+  const template = splitFilename.value.trim() || '{source}_{range}';
+  let names = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const range = chunk.start === chunk.end ? `${chunk.start}` : `${chunk.start}-${chunk.end}`;
+    const tokens = await getNameTokens(template, chunk.pages, i, {
+      range,
+      start: chunk.start,
+      end: chunk.end,
+      title: chunk.title || range
+    });
+    names.push(`${fillNameTemplate(template, tokens) || `part-${i + 1}`}.pdf`);
+  }
+  if (names.length === 1) return { names, zipName: null };
+
+  if (splitFolders.checked) names = addSourceFolders(names, chunks.map(chunk => chunk.pages));
+  return { names: makeNamesUnique(names), zipName: `${sanitizeFileName(getOutputSourceName(pages))}_split.zip` };
+}
+
+// Handle split
+async function handleSplit() {
+  console.log('=== SPLIT OPERATION STARTED ===');
+  const startTime = performance.now();
+
+  const selectedPages = pageManager.getSelectedPages();
+  const pagesToSplit = selectedPages.length > 0 ? selectedPages : pageManager.getAllPages();
+
+  console.log(`Total pages to split: ${pagesToSplit.length}`);
+  console.log('Selected pages:', selectedPages.length > 0 ? 'Yes' : 'No (using all)');
+
+  if (pagesToSplit.length === 0) {
+    alert('No pages to split');
+    return;
+  }
+
+  splitBtn.disabled = true;
+  splitBtn.textContent = 'Splitting...';
+
+  try {
+    const mode = getSplitMode();
+    console.log(`Split mode: ${mode}`);
+
+    let chunks;
+    let stampRun;
+    try {
+      stampRun = createStampRun();
+      chunks = await buildSplitChunks(pagesToSplit, mode);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    console.log(`✓ ${chunks.length} chunk(s) planned`);
+
+    const { names, zipName } = await planSplitNames(pagesToSplit, chunks);
+    const outputs = chunks.map((chunk, i) => {
+      console.log(`Chunk ${i + 1}: pages ${chunk.start}-${chunk.end} -> ${names[i]}`);
+      return { name: names[i], pages: chunk.pages };
+    });
+
+    const job = await planExportJob('Splitting', outputs, { stamps: stampRun, zipName });
+    const result = await runExportJob(job, splitBtn);
+    console.log(`Downloading as: ${result.name} (${result.bytes.length} bytes)`);
+    downloadFile(result.bytes, result.name, result.mimeType);
+
+    const endTime = performance.now();
+    console.log(`\n=== SPLIT COMPLETED SUCCESSFULLY ===`);
+    console.log(`Total time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      console.log('\n=== SPLIT CANCELLED ===');
+      return;
+    }
+    console.error('\n=== SPLIT FAILED ===');
+    console.error('Error details:', error);
+    console.error('Stack trace:', error.stack);
+    alert(`Error splitting PDF: ${error.message}\n\nCheck console for details.`);
+  } finally {
+    splitBtn.disabled = false;
+    splitBtn.textContent = 'Split PDF';
+  }
+}
@@ -0,0 +1,243 @@
+// Stamps: watermark, header/footer and Bates numbers drawn onto every exported page
+
+const watermarkType = document.getElementById('watermarkType');
+const watermarkText = document.getElementById('watermarkText');
+const watermarkSize = document.getElementById('watermarkSize');
+const watermarkColor = document.getElementById('watermarkColor');
+const watermarkImage = document.getElementById('watermarkImage');
+const watermarkImageScale = document.getElementById('watermarkImageScale');
+const watermarkOpacity = document.getElementById('watermarkOpacity');
+const watermarkRotation = document.getElementById('watermarkRotation');
+const watermarkPosition = document.getElementById('watermarkPosition');
+const headerText = document.getElementById('headerText');
+const headerAlign = document.getElementById('headerAlign');
+const footerText = document.getElementById('footerText');
+const footerAlign = document.getElementById('footerAlign');
+const stampFontSize = document.getElementById('stampFontSize');
+const batesEnabled = document.getElementById('batesEnabled');
+const batesPrefix = document.getElementById('batesPrefix');
+const batesStart = document.getElementById('batesStart');
+const batesDigits = document.getElementById('batesDigits');
+const batesPosition = document.getElementById('batesPosition');
+const stampPreview = document.getElementById('stampPreview');
+
+let stampMetricsFont = null; // Helvetica from a scratch document, used to measure text for previews
+let watermarkImageData = null; // { bytes, isPng, width, height, element }
+let stampPreviewTimer = null;
+
+document.querySelectorAll('.stamp-setting').forEach(input => {
+  input.addEventListener('input', scheduleStampPreview);
+  input.addEventListener('change', scheduleStampPreview);
+});
+
+watermarkType.addEventListener('change', () => {
+  document.getElementById('watermarkTextOptions').classList.toggle('hidden', watermarkType.value !== 'text');
+  document.getElementById('watermarkImageOptions').classList.toggle('hidden', watermarkType.value !== 'image');
+  document.getElementById('watermarkCommonOptions').classList.toggle('hidden', watermarkType.value === 'none');
+});
+
+batesEnabled.addEventListener('change', () => {
+  document.getElementById('batesOptions').classList.toggle('hidden', !batesEnabled.checked);
+});
+
+watermarkImage.addEventListener('change', async () => {
+  const file = watermarkImage.files[0];
+  clearWatermarkImage();
+  if (!file) return scheduleStampPreview();
+
+  try {
+    // Recognised by its first bytes like uploads, a mislabeled file would not embed
+    const type = await sniffFileType(file);
+    if (type !== 'png' && type !== 'jpeg') throw new Error('Not a JPG or PNG image');
+    const bytes = await file.arrayBuffer();
+    const isPng = type === 'png';
+    // Embedding in a scratch document validates the image and gives its pixel size
+    const scratch = await PDFLib.PDFDocument.create();
+    const image = isPng ? await scratch.embedPng(bytes) : await scratch.embedJpg(bytes);
+
+    const element = new Image();
+    element.onload = scheduleStampPreview;
+    element.src = URL.createObjectURL(file);
+
+    watermarkImageData = { bytes, isPng, width: image.width, height: image.height, element };
+    console.log(`✓ Watermark image loaded (${image.width}×${image.height}px)`);
+  } catch (error) {
+    console.error('✗ ERROR loading watermark image:', error);
+    alert(`Could not use "${file.name}" as a watermark: ${error.message}`);
+    watermarkImage.value = '';
+  }
+  scheduleStampPreview();
+});
+
+// Forget the watermark image and free the object URL of its preview
+function clearWatermarkImage() {
+  if (watermarkImageData) URL.revokeObjectURL(watermarkImageData.element.src);
+  watermarkImageData = null;
+}
+
+// Read the panel into a settings object; null when nothing would be stamped
+function readStampSettings() {
+  const settings = {
+    watermark: null,
+    header: headerText.value.trim() ? { text: headerText.value.trim(), align: headerAlign.value } : null,
+    footer: footerText.value.trim() ? { text: footerText.value.trim(), align: footerAlign.value } : null,
+    fontSize: Math.min(72, Math.max(4, Number(stampFontSize.value) || 10)),
+    bates: null
+  };
+
+  if (watermarkType.value !== 'none') {
+    settings.watermark = {
+      type: watermarkType.value,
+      text: watermarkText.value.trim(),
+      size: Math.max(4, Number(watermarkSize.value) || 48),
+      color: hexToRgb(watermarkColor.value),
+      imageScale: Math.min(100, Math.max(1, Number(watermarkImageScale.value) || 50)) / 100,
+      opacity: Math.min(100, Math.max(0, Number(watermarkOpacity.value))) / 100,
+      rotation: Number(watermarkRotation.value) || 0,
+      position: watermarkPosition.value,
+      imageWidth: watermarkImageData ? watermarkImageData.width : 0,
+      imageHeight: watermarkImageData ? watermarkImageData.height : 0
+    };
+    if (settings.watermark.type === 'text' && !settings.watermark.text) settings.watermark = null;
+  }
+
+  if (batesEnabled.checked) {
+    settings.bates = {
+      prefix: batesPrefix.value,
+      start: parseInt(batesStart.value, 10),
+      digits: Math.min(12, Math.max(1, parseInt(batesDigits.value, 10) || 6)),
+      position: batesPosition.value
+    };
+  }
+
+  return settings.watermark || settings.header || settings.footer || settings.bates ? settings : null;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16) || 0;
+  return [(value >> 16) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+}
+
+// Start one export: validates the settings and carries the Bates counter across all files of the run
+function createStampRun() {
+  const settings = readStampSettings();
+  if (!settings) return null;
+
+  if (settings.watermark && settings.watermark.type === 'image' && !watermarkImageData) {
+    throw new Error('Choose an image for the watermark or set the watermark to None');
+  }
+  if (settings.bates && (!Number.isInteger(settings.bates.start) || settings.bates.start < 0)) {
+    throw new Error('Bates start number must be a whole number of 0 or more');
+  }
+
+  const usesImage = settings.watermark && settings.watermark.type === 'image';
+  return {
+    settings,
+    image: usesImage ? { bytes: watermarkImageData.bytes, isPng: watermarkImageData.isPng } : null,
+    nextBates: settings.bates ? settings.bates.start : 0,
+    date: new Date().toLocaleDateString()
+  };
+}
+
+// Draw the stamps onto a rendered canvas (image export and thumbnail previews)
+function drawStampItems(context, items, scale, pageHeight) {
+  items.forEach(item => {
+    context.save();
+    context.globalAlpha = item.opacity;
+    context.translate(item.x * scale, (pageHeight - item.y) * scale);
+    context.rotate(-item.angle * Math.PI / 180);
+
+    if (item.type === 'text') {
+      const [r, g, b] = item.color.map(c => Math.round(c * 255));
+      context.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      context.font = `${item.size * scale}px Helvetica, Arial, sans-serif`;
+      context.fillText(item.text, 0, 0);
+    } else if (watermarkImageData && watermarkImageData.element.complete) {
+      context.drawImage(watermarkImageData.element, 0, -item.height * scale, item.width * scale, item.height * scale);
+    }
+    context.restore();
+  });
+}
+
+async function getStampMetricsFont() {
+  if (!stampMetricsFont) {
+    const scratch = await PDFLib.PDFDocument.create();
+    stampMetricsFont = await scratch.embedFont(PDFLib.StandardFonts.Helvetica);
+  }
+  return stampMetricsFont;
+}
+
+// Stamp an exported image the same way the PDF page would be stamped
+async function stampCanvas(canvas, page, scale, pageNumber, total, run) {
+  if (!run) return;
+
+  const font = await getStampMetricsFont();
+  const info = {
+    width: canvas.width / scale,
+    height: canvas.height / scale,
+    pageNumber,
+    total,
+    fileName: page.fileName,
+    date: run.date,
+    batesNumber: run.nextBates++
+  };
+  drawStampItems(canvas.getContext('2d'), layoutStamps(run.settings, info, font), scale, info.height);
+}
+
+function scheduleStampPreview() {
+  clearTimeout(stampPreviewTimer);
+  stampPreviewTimer = setTimeout(updateStampPreviews, 150);
+}
+
+// Overlay the stamps on the grid thumbnails. The preview numbers pages as a merge would:
+// the selection if there is one, otherwise every page in grid order.
+async function updateStampPreviews() {
+  let settings = stampPreview.checked ? readStampSettings() : null;
+  if (settings && settings.watermark && settings.watermark.type === 'image' && !watermarkImageData) {
+    settings = { ...settings, watermark: null };
+  }
+
+  const allPages = pageManager.getAllPages();
+  const selected = pageManager.getSelectedPages();
+  const exported = selected.length > 0 ? selected : allPages;
+  const font = settings ? await getStampMetricsFont() : null;
+  const date = new Date().toLocaleDateString();
+  const start = settings && settings.bates && Number.isInteger(settings.bates.start) ? settings.bates.start : 0;
+  const settingsKey = JSON.stringify(settings);
+
+  allPages.forEach(page => {
+    const pageDiv = pageCards.get(page.id);
+    if (!pageDiv) return;
+
+    const canvas = pageDiv.querySelector('.page-canvas canvas:not(.stamp-overlay)');
+    const index = exported.indexOf(page);
+    const key = settings && index !== -1 && canvas
+      ? `${settingsKey}|${index}|${exported.length}|${canvas.width}x${canvas.height}`
+      : '';
+    // A re-rendered thumbnail drops its overlay even when the key is unchanged
+    const oldOverlay = pageDiv.querySelector('.stamp-overlay');
+    if (pageDiv.dataset.stampKey === key && Boolean(oldOverlay) === Boolean(key)) return;
+    pageDiv.dataset.stampKey = key;
+
+    if (oldOverlay) oldOverlay.remove();
+    if (!key) return;
+
+    const overlay = document.createElement('canvas');
+    overlay.className = 'stamp-overlay';
+    overlay.width = canvas.width;
+    overlay.height = canvas.height;
+
+    const scale = 0.5; // Thumbnails are rendered at renderPage's default scale
+    const info = {
+      width: canvas.width / scale,
+      height: canvas.height / scale,
+      pageNumber: index + 1,
+      total: exported.length,
+      fileName: page.fileName,
+      date,
+      batesNumber: start + index
+    };
+    drawStampItems(overlay.getContext('2d'), layoutStamps(settings, info, font), scale, info.height);
+    canvas.parentElement.appendChild(overlay);
+  });
+}
@@ -0,0 +1,438 @@
+// Document structure: keep outlines, internal links and form fields when assembling pages
+//
+// pdf-lib's copyPages only copies page dictionaries, so anything pointing at a page
+// (link destinations, outline entries, widget /P entries) either breaks or drags an
+// orphan copy of the whole target page along. Instead we reserve the output page refs
+// up front and seed one object copier per source file with "source page -> output page",
+// so every reference is rewritten to the right page while copying.
+
+const { PDFName, PDFArray, PDFDict, PDFRef, PDFHexString, PDFNumber, PDFObjectCopier, PDFPage } = PDFLib;
+
+// Follow an indirect reference (returns the object itself when it is not one)
+function lookupObject(context, object) {
+  return object instanceof PDFRef ? context.lookup(object) : object;
+}
+
+function decodePdfText(object) {
+  return object && typeof object.decodeText === 'function' ? object.decodeText() : '';
+}
+
+// Find a named destination in the catalog /Dests dictionary or the /Names name tree
+function lookupNamedDestination(pdfDoc, name) {
+  const context = pdfDoc.context;
+  const key = typeof name === 'string' ? name : decodePdfText(name);
+
+  const legacyDests = lookupObject(context, pdfDoc.catalog.get(PDFName.of('Dests')));
+  if (legacyDests instanceof PDFDict) {
+    const value = legacyDests.get(PDFName.of(key));
+    if (value) return lookupObject(context, value);
+  }
+
+  const names = lookupObject(context, pdfDoc.catalog.get(PDFName.of('Names')));
+  const tree = names instanceof PDFDict ? lookupObject(context, names.get(PDFName.of('Dests'))) : null;
+
+  const searchTree = (node) => {
+    if (!(node instanceof PDFDict)) return null;
+    const leafNames = lookupObject(context, node.get(PDFName.of('Names')));
+    if (leafNames instanceof PDFArray) {
+      for (let i = 0; i + 1 < leafNames.size(); i += 2) {
+        if (decodePdfText(lookupObject(context, leafNames.get(i))) === key) {
+          return lookupObject(context, leafNames.get(i + 1));
+        }
+      }
+    }
+    const kids = lookupObject(context, node.get(PDFName.of('Kids')));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        const found = searchTree(lookupObject(context, kids.get(i)));
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+
+  return searchTree(tree);
+}
+
+// Resolve /Dest or a GoTo /A entry of a link or outline item to an explicit destination array
+function resolveDestination(pdfDoc, dict) {
+  const context = pdfDoc.context;
+  let dest = lookupObject(context, dict.get(PDFName.of('Dest')));
+
+  if (!dest) {
+    const action = lookupObject(context, dict.get(PDFName.of('A')));
+    if (!(action instanceof PDFDict) || action.get(PDFName.of('S')) !== PDFName.of('GoTo')) {
+      return null;
+    }
+    dest = lookupObject(context, action.get(PDFName.of('D')));
+  }
+
+  if (dest && !(dest instanceof PDFArray) && !(dest instanceof PDFDict)) {
+    dest = lookupNamedDestination(pdfDoc, dest);
+  }
+  if (dest instanceof PDFDict) {
+    dest = lookupObject(context, dest.get(PDFName.of('D')));
+  }
+  return dest instanceof PDFArray ? dest : null;
+}
+
+// Map a destination array to a 0-based page index of its document (-1 if unknown)
+function getDestinationPageIndex(dest, pageIndexByRef) {
+  const target = dest.get(0);
+  if (target instanceof PDFNumber) return target.asNumber();
+  return pageIndexByRef.has(target) ? pageIndexByRef.get(target) : -1;
+}
+
+// Rewrite link annotations of the included pages so they can be copied safely.
+// Links to included pages get an explicit destination, links to dropped pages are
+// removed, and /P back-references to dropped pages are cleared.
+function prepareSourceAnnotations(pdfDoc, includedIndices) {
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages();
+  const pageIndexByRef = new Map(pages.map((p, i) => [p.ref, i]));
+  const includedRefs = new Set([...includedIndices].map(i => pages[i].ref));
+  const widgetRefs = new Set();
+  let links = 0;
+
+  includedIndices.forEach(pageIndex => {
+    const annots = lookupObject(context, pages[pageIndex].node.get(PDFName.of('Annots')));
+    if (!(annots instanceof PDFArray)) return;
+
+    for (let i = annots.size() - 1; i >= 0; i--) {
+      const annotRef = annots.get(i);
+      const annot = lookupObject(context, annotRef);
+      if (!(annot instanceof PDFDict)) continue;
+
+      const parentPage = annot.get(PDFName.of('P'));
+      if (parentPage && !includedRefs.has(parentPage)) {
+        annot.delete(PDFName.of('P'));
+      }
+
+      const subtype = annot.get(PDFName.of('Subtype'));
+      if (subtype === PDFName.of('Widget')) {
+        widgetRefs.add(annotRef);
+        continue;
+      }
+      if (subtype !== PDFName.of('Link')) continue;
+
+      const action = lookupObject(context, annot.get(PDFName.of('A')));
+      const isGoTo = !annot.has(PDFName.of('A')) ||
+        (action instanceof PDFDict && action.get(PDFName.of('S')) === PDFName.of('GoTo'));
+      if (!isGoTo) continue; // URI and other actions are kept untouched
+
+      const dest = resolveDestination(pdfDoc, annot);
+      const targetIndex = dest ? getDestinationPageIndex(dest, pageIndexByRef) : -1;
+      annot.delete(PDFName.of('A'));
+
+      if (targetIndex !== -1 && includedIndices.has(targetIndex)) {
+        const explicit = dest.clone();
+        explicit.set(0, pages[targetIndex].ref);
+        annot.set(PDFName.of('Dest'), explicit);
+        links++;
+      } else {
+        // The target page is not part of the output, drop the dead link
+        annots.remove(i);
+      }
+    }
+  });
+
+  pruneFieldKids(context, widgetRefs);
+  return links;
+}
+
+// Remove widgets that live on dropped pages from the fields used by included widgets
+function pruneFieldKids(context, widgetRefs) {
+  const roots = new Set();
+  widgetRefs.forEach(ref => {
+    let node = lookupObject(context, ref);
+    while (node instanceof PDFDict && node.get(PDFName.of('Parent'))) {
+      node = lookupObject(context, node.get(PDFName.of('Parent')));
+    }
+    if (node) roots.add(node);
+  });
+
+  const prune = (field) => {
+    const kids = lookupObject(context, field.get(PDFName.of('Kids')));
+    if (!(kids instanceof PDFArray)) return true;
+
+    for (let i = kids.size() - 1; i >= 0; i--) {
+      const kidRef = kids.get(i);
+      const kid = lookupObject(context, kidRef);
+      const isWidget = kid instanceof PDFDict && kid.get(PDFName.of('Subtype')) === PDFName.of('Widget');
+      const keep = isWidget ? widgetRefs.has(kidRef) : kid instanceof PDFDict && prune(kid);
+      if (!keep) kids.remove(i);
+    }
+    return kids.size() > 0;
+  };
+
+  roots.forEach(prune);
+}
+
+// Read an outline tree as [{ title, pageIndex, dest, children }]
+function readOutline(pdfDoc) {
+  const context = pdfDoc.context;
+  const pageIndexByRef = new Map(pdfDoc.getPages().map((p, i) => [p.ref, i]));
+  const outlines = lookupObject(context, pdfDoc.catalog.get(PDFName.of('Outlines')));
+  if (!(outlines instanceof PDFDict)) return [];
+
+  const visited = new Set();
+  const readSiblings = (firstRef) => {
+    const items = [];
+    let ref = firstRef;
+    while (ref && !visited.has(ref)) {
+      visited.add(ref);
+      const item = lookupObject(context, ref);
+      if (!(item instanceof PDFDict)) break;
+
+      const dest = resolveDestination(pdfDoc, item);
+      items.push({
+        title: decodePdfText(lookupObject(context, item.get(PDFName.of('Title')))),
+        pageIndex: dest ? getDestinationPageIndex(dest, pageIndexByRef) : -1,
+        dest,
+        children: readSiblings(item.get(PDFName.of('First')))
+      });
+      ref = item.get(PDFName.of('Next'));
+    }
+    return items;
+  };
+
+  return readSiblings(outlines.get(PDFName.of('First')));
+}
+
+// Point outline items at output pages, dropping entries whose page was not kept
+function remapOutline(items, outputRefFor) {
+  return items.flatMap(item => {
+    const children = remapOutline(item.children, outputRefFor);
+    const pageRef = item.pageIndex !== -1 ? outputRefFor(item.pageIndex) : null;
+
+    if (!pageRef && children.length === 0) return [];
+    return [{
+      title: item.title,
+      // Entries whose own page is gone keep their children and jump to the first of them
+      pageRef: pageRef || children[0].pageRef,
+      destRest: pageRef && item.dest ? item.dest.asArray().slice(1) : null,
+      children
+    }];
+  });
+}
+
+// Write [{ title, pageRef, destRest, open, children }] as the document outline
+function writeOutline(pdfDoc, items) {
+  const context = pdfDoc.context;
+
+  // Returns the first/last item refs of the level and how many entries are visible
+  const writeLevel = (levelItems, parentRef) => {
+    const refs = levelItems.map(() => context.nextRef());
+    let visibleCount = 0;
+
+    levelItems.forEach((item, i) => {
+      const dest = [item.pageRef, ...(item.destRest || [PDFName.of('XYZ'), null, null, null])];
+      const dict = context.obj({
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef,
+        Dest: dest
+      });
+      if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i < refs.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+
+      if (item.children.length > 0) {
+        const level = writeLevel(item.children, refs[i]);
+        dict.set(PDFName.of('First'), level.first);
+        dict.set(PDFName.of('Last'), level.last);
+        // A negative count marks the entry as collapsed
+        dict.set(PDFName.of('Count'), PDFNumber.of(item.open ? level.count : -item.children.length));
+        if (item.open) visibleCount += level.count;
+      }
+
+      context.assign(refs[i], dict);
+      visibleCount++;
+    });
+
+    return { first: refs[0], last: refs[refs.length - 1], count: visibleCount };
+  };
+
+  const outlinesRef = context.nextRef();
+  const level = writeLevel(items, outlinesRef);
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    First: level.first,
+    Last: level.last,
+    Count: PDFNumber.of(level.count)
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+// Collect the root field of every widget on the given output pages, grouped by copier
+function collectRootFields(context, outputPages) {
+  const roots = [];
+  const seen = new Set();
+
+  outputPages.forEach(({ node, namespace }) => {
+    const annots = lookupObject(context, node.get(PDFName.of('Annots')));
+    if (!(annots instanceof PDFArray)) return;
+
+    annots.asArray().forEach(annotRef => {
+      let ref = annotRef;
+      let dict = lookupObject(context, ref);
+      if (!(dict instanceof PDFDict) || dict.get(PDFName.of('Subtype')) !== PDFName.of('Widget')) return;
+
+      while (dict.get(PDFName.of('Parent'))) {
+        ref = dict.get(PDFName.of('Parent'));
+        dict = lookupObject(context, ref);
+      }
+      if (!seen.has(ref)) {
+        seen.add(ref);
+        roots.push({ ref, dict, namespace });
+      }
+    });
+  });
+
+  return roots;
+}
+
+// Build one AcroForm from the copied fields; same-named fields from different
+// sources get a numeric suffix so they do not start sharing values
+function writeAcroForm(targetPdf, roots, sourceForms) {
+  if (roots.length === 0) return 0;
+
+  const context = targetPdf.context;
+  const owners = new Map(); // field name -> namespace that owns it
+  let renamed = 0;
+
+  roots.forEach(({ dict, namespace }) => {
+    const name = decodePdfText(lookupObject(context, dict.get(PDFName.of('T'))));
+    if (!name) return;
+
+    let unique = name;
+    let suffix = 2;
+    while (owners.has(unique) && owners.get(unique) !== namespace) {
+      unique = `${name}_${suffix++}`;
+    }
+    owners.set(unique, namespace);
+
+    if (unique !== name) {
+      dict.set(PDFName.of('T'), PDFHexString.fromText(unique));
+      console.log(`Renamed form field "${name}" to "${unique}"`);
+      renamed++;
+    }
+  });
+
+  const acroForm = context.obj({ Fields: roots.map(r => r.ref) });
+  sourceForms.forEach(({ form, copier }) => {
+    ['DA', 'DR', 'Q'].forEach(key => {
+      const value = form.get(PDFName.of(key));
+      if (value && !acroForm.has(PDFName.of(key))) {
+        acroForm.set(PDFName.of(key), copier.copy(value));
+      }
+    });
+    if (form.get(PDFName.of('NeedAppearances'))) {
+      acroForm.set(PDFName.of('NeedAppearances'), form.get(PDFName.of('NeedAppearances')));
+    }
+  });
+  targetPdf.catalog.set(PDFName.of('AcroForm'), context.register(acroForm));
+
+  return renamed;
+}
+
+// Copy pages in output order while keeping outlines, internal links and form fields.
+// options: { groupBookmarksByFile, onProgress(index, total) }
+async function assemblePagesWithStructure(targetPdf, loadedPdfs, pages, options = {}) {
+  const context = targetPdf.context;
+  const outputRefs = pages.map(page => (page.synthetic ? null : context.nextRef()));
+
+  // Output position of the first occurrence of each source page
+  const firstOutputIndex = new Map(); // fileIndex -> Map(sourcePageIndex -> output index)
+  pages.forEach((page, i) => {
+    if (page.synthetic) return;
+    if (!firstOutputIndex.has(page.fileIndex)) firstOutputIndex.set(page.fileIndex, new Map());
+    const byPage = firstOutputIndex.get(page.fileIndex);
+    if (!byPage.has(page.originalPageNum - 1)) byPage.set(page.originalPageNum - 1, i);
+  });
+
+  // Prepare each source once and create its copier
+  const sources = new Map(); // fileIndex -> { pdfDoc, copier, pageMapping }
+  let linkCount = 0;
+  for (const [fileIndex, byPage] of firstOutputIndex) {
+    const pdfDoc = loadedPdfs.get(fileIndex);
+    await pdfDoc.flush();
+    const outline = readOutline(pdfDoc);
+    linkCount += prepareSourceAnnotations(pdfDoc, new Set(byPage.keys()));
+
+    const sourcePages = pdfDoc.getPages();
+    const pageMapping = new Map();
+    byPage.forEach((outputIndex, pageIndex) => pageMapping.set(sourcePages[pageIndex].ref, outputRefs[outputIndex]));
+
+    const copier = PDFObjectCopier.for(pdfDoc.context, context);
+    pageMapping.forEach((outputRef, sourceRef) => copier.traversedObjects.set(sourceRef, outputRef));
+    sources.set(fileIndex, { pdfDoc, copier, pageMapping, outline });
+  }
+
+  // Copy the pages; repeated pages get their own copier so annotations are not shared
+  const outputPages = [];
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    if (page.synthetic) {
+      await appendPage(targetPdf, loadedPdfs, page);
+      if (options.onProgress) options.onProgress(i, pages.length);
+      continue;
+    }
+
+    const source = sources.get(page.fileIndex);
+    const pageIndex = page.originalPageNum - 1;
+    const isFirst = firstOutputIndex.get(page.fileIndex).get(pageIndex) === i;
+
+    let copier = source.copier;
+    if (!isFirst) {
+      copier = PDFObjectCopier.for(source.pdfDoc.context, context);
+      source.pageMapping.forEach((outputRef, sourceRef) => copier.traversedObjects.set(sourceRef, outputRef));
+    }
+
+    const node = copier.copy(source.pdfDoc.getPage(pageIndex).node);
+    context.assign(outputRefs[i], node);
+    const copiedPage = PDFPage.of(node, outputRefs[i], targetPdf);
+    if (page.rotation !== 0) {
+      copiedPage.setRotation(PDFLib.degrees(page.rotation));
+    }
+    applyPageCrop(copiedPage, page.crop);
+    targetPdf.addPage(copiedPage);
+    outputPages.push({ node, namespace: copier });
+
+    if (options.onProgress) options.onProgress(i, pages.length);
+  }
+
+  // Outlines, in order of each file's first appearance
+  const outlineItems = [];
+  sources.forEach((source, fileIndex) => {
+    const byPage = firstOutputIndex.get(fileIndex);
+    const items = remapOutline(source.outline, (pageIndex) => (
+      byPage.has(pageIndex) ? outputRefs[byPage.get(pageIndex)] : null
+    ));
+
+    if (options.groupBookmarksByFile) {
+      outlineItems.push({
+        title: pages[Math.min(...byPage.values())].fileName.replace(/\.pdf$/i, ''),
+        pageRef: outputRefs[Math.min(...byPage.values())],
+        destRest: null,
+        open: true,
+        children: items
+      });
+    } else {
+      outlineItems.push(...items);
+    }
+  });
+  if (outlineItems.length > 0) {
+    writeOutline(targetPdf, outlineItems);
+  }
+
+  // Form fields
+  const sourceForms = [];
+  sources.forEach(({ pdfDoc, copier }) => {
+    const form = lookupObject(pdfDoc.context, pdfDoc.catalog.get(PDFName.of('AcroForm')));
+    if (form instanceof PDFDict) sourceForms.push({ form, copier });
+  });
+  const roots = collectRootFields(context, outputPages);
+  const renamed = writeAcroForm(targetPdf, roots, sourceForms);
+
+  console.log(`✓ Structure kept: ${outlineItems.length} top-level bookmark(s), ${linkCount} internal link(s), ${roots.length} form field(s) (${renamed} renamed)`);
+}
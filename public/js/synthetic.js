@@ -0,0 +1,99 @@
+// Generated pages: blank pages and separator sheets inserted between real pages
+
+const insertMenu = document.getElementById('insertMenu');
+const insertPageSize = document.getElementById('insertPageSize');
+const separatorText = document.getElementById('separatorText');
+
+const SYNTHETIC_PAGE_SIZES = {
+  a4: PDFLib.PageSizes.A4,
+  letter: PDFLib.PageSizes.Letter
+};
+
+insertMenu.querySelectorAll('.insert-action').forEach(button => {
+  button.addEventListener('click', async () => {
+    const pageId = Number(insertMenu.dataset.pageId);
+    closeInsertMenu();
+    await insertSyntheticPage(pageId, button.dataset.position, button.dataset.type);
+  });
+});
+
+document.addEventListener('click', (e) => {
+  if (!insertMenu.classList.contains('hidden') && !insertMenu.contains(e.target)) {
+    closeInsertMenu();
+  }
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeInsertMenu();
+});
+
+// Show the insert menu next to a card's insert button
+function openInsertMenu(pageId, anchorButton) {
+  const rect = anchorButton.getBoundingClientRect();
+  insertMenu.dataset.pageId = pageId;
+  insertMenu.classList.remove('hidden');
+
+  const menuRect = insertMenu.getBoundingClientRect();
+  const left = Math.min(rect.left, window.innerWidth - menuRect.width - 8);
+  const top = rect.bottom + menuRect.height + 8 > window.innerHeight ? rect.top - menuRect.height - 8 : rect.bottom + 8;
+  insertMenu.style.left = `${Math.max(8, left)}px`;
+  insertMenu.style.top = `${Math.max(8, top)}px`;
+}
+
+function closeInsertMenu() {
+  insertMenu.classList.add('hidden');
+}
+
+// Page size in points for a new page next to the given one, as it is displayed
+function getSyntheticPageSize(anchorPage) {
+  if (SYNTHETIC_PAGE_SIZES[insertPageSize.value]) {
+    return [...SYNTHETIC_PAGE_SIZES[insertPageSize.value]];
+  }
+
+  const [x1, y1, x2, y2] = anchorPage.pdfPage.view;
+  const quarterTurn = (anchorPage.rotation / 90) % 2 === 1;
+  return quarterTurn ? [y2 - y1, x2 - x1] : [x2 - x1, y2 - y1];
+}
+
+// Produce a pdf.js page for a generated page so it renders like any other card
+async function loadSyntheticPreview(spec) {
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  await drawSyntheticPage(pdfDoc, spec);
+  const pdfBytes = await pdfDoc.save();
+  const pdf = await pdfjsLib.getDocument({ data: pdfBytes }).promise;
+  return pdf.getPage(1);
+}
+
+// Insert a blank or separator page before/after the given page
+async function insertSyntheticPage(anchorId, position, type) {
+  const pages = pageManager.getAllPages();
+  const anchorIndex = pages.findIndex(p => p.id === anchorId);
+  if (anchorIndex === -1) return;
+
+  const [width, height] = getSyntheticPageSize(pages[anchorIndex]);
+  const text = type === 'separator' ? (separatorText.value.trim() || 'Section') : '';
+  const spec = { type, width, height, text };
+  console.log(`Inserting ${type} page (${width.toFixed(0)}×${height.toFixed(0)}pt) ${position} page ${anchorIndex + 1}`);
+
+  try {
+    const pdfPage = await loadSyntheticPreview(spec);
+    // Pages may have moved, gone or arrived while the preview loaded
+    const index = pageManager.getAllPages().findIndex(p => p.id === anchorId);
+    if (index === -1) throw new Error('The page it was meant to go next to was deleted');
+    const pageObj = pageManager.insertPage({
+      canvas: null,
+      pdfPage,
+      originalPageNum: null,
+      rotation: 0,
+      fileName: type === 'separator' ? `Separator - ${text}` : 'Blank page',
+      fileIndex: null,
+      arrayBuffer: null,
+      synthetic: spec
+    }, position === 'before' ? index : index + 1);
+
+    await addPageToGrid(pageObj);
+  } catch (error) {
+    console.error('✗ ERROR inserting page:', error);
+    alert(`Error inserting page: ${error.message}`);
+  }
+}
@@ -0,0 +1,184 @@
+// Lazy thumbnails: cards start as placeholders with the page's real aspect ratio, a canvas is
+// rendered only once a card comes near the viewport, and cards that scroll far away hand their
+// canvas back in exchange for a cached ImageBitmap that is cheap to redraw.
+
+const THUMBNAIL_SCALE = 0.5;
+const THUMBNAIL_CACHE_LIMIT = 300; // Bitmaps kept for off-screen cards, oldest are dropped first
+const mainContent = document.getElementById('mainContent');
+
+const thumbnailCache = new Map(); // pageId -> { bitmap, key }, kept in least-recently-used order
+const visibleThumbnails = new Set(); // pageIds of cards currently near the viewport
+let thumbnailQueue = Promise.resolve(); // Thumbnails are rendered one at a time, in scroll order
+
+const thumbnailObserver = new IntersectionObserver(handleThumbnailIntersections, {
+  root: mainContent,
+  rootMargin: '600px 0px' // Start rendering a little before cards scroll into view
+});
+
+const CROP_SIDES = ['top', 'right', 'bottom', 'left']; // Clockwise, a quarter turn moves each inset one along
+
+// A page's crop as it is displayed: insets are stored for the unrotated page
+function getDisplayedCrop(crop, rotation) {
+  if (!crop) return null;
+  const turns = rotation / 90;
+  const displayed = {};
+  CROP_SIDES.forEach((side, i) => displayed[CROP_SIDES[(i + turns) % 4]] = crop[side]);
+  return displayed;
+}
+
+// Inverse of getDisplayedCrop, for a crop drawn on the rotated page
+function getStoredCrop(displayed, rotation) {
+  const turns = rotation / 90;
+  const crop = {};
+  CROP_SIDES.forEach((side, i) => crop[side] = displayed[CROP_SIDES[(i + turns) % 4]]);
+  return crop;
+}
+
+// Displayed size in points, after rotation and crop
+function getDisplayedPageSize(page) {
+  const viewport = page.pdfPage.getViewport({ scale: 1, rotation: page.rotation });
+  const crop = getDisplayedCrop(page.crop, page.rotation);
+  if (!crop) return [viewport.width, viewport.height];
+  return [viewport.width * (1 - crop.left - crop.right), viewport.height * (1 - crop.top - crop.bottom)];
+}
+
+// Everything a rendered canvas depends on; a card whose key changed is re-rendered
+function getPageRenderKey(page) {
+  const crop = page.crop;
+  return crop ? `${page.rotation}:${crop.left},${crop.top},${crop.right},${crop.bottom}` : String(page.rotation);
+}
+
+// Cut a page rendered at its rotation down to its crop. The uncropped canvas is released.
+function cropCanvas(canvas, page) {
+  const crop = getDisplayedCrop(page.crop, page.rotation);
+  if (!crop) return canvas;
+
+  const cropped = document.createElement('canvas');
+  const x = Math.round(canvas.width * crop.left);
+  const y = Math.round(canvas.height * crop.top);
+  cropped.width = Math.max(1, Math.round(canvas.width * (1 - crop.right)) - x);
+  cropped.height = Math.max(1, Math.round(canvas.height * (1 - crop.bottom)) - y);
+  cropped.style.cssText = canvas.style.cssText;
+  cropped.getContext('2d').drawImage(canvas, x, y, cropped.width, cropped.height, 0, 0, cropped.width, cropped.height);
+
+  canvas.width = 0;
+  canvas.height = 0;
+  return cropped;
+}
+
+// Fill a card's canvas wrapper with an empty box the size the thumbnail will have
+function setThumbnailPlaceholder(page, canvasWrapper) {
+  const [width, height] = getDisplayedPageSize(page).map(size => size * THUMBNAIL_SCALE);
+  const placeholder = document.createElement('div');
+  placeholder.className = 'thumbnail-placeholder';
+  placeholder.style.width = `${Math.floor(width)}px`;
+  placeholder.style.aspectRatio = `${width} / ${height}`;
+
+  canvasWrapper.innerHTML = '';
+  canvasWrapper.appendChild(placeholder);
+}
+
+function observeThumbnail(pageDiv) {
+  thumbnailObserver.observe(pageDiv);
+}
+
+function handleThumbnailIntersections(entries) {
+  entries.forEach(entry => {
+    const pageId = Number(entry.target.dataset.pageId);
+    if (entry.isIntersecting) {
+      visibleThumbnails.add(pageId);
+      queueThumbnail(pageId);
+    } else if (visibleThumbnails.delete(pageId)) {
+      parkThumbnail(pageId);
+    }
+  });
+}
+
+function queueThumbnail(pageId) {
+  thumbnailQueue = thumbnailQueue
+    .then(() => showThumbnail(pageId))
+    .catch(error => console.error(`✗ ERROR rendering thumbnail for page ${pageId}:`, error));
+}
+
+// Put a rendered canvas into a visible card, from the bitmap cache when possible
+async function showThumbnail(pageId) {
+  const page = pageManager.getPage(pageId);
+  const pageDiv = pageCards.get(pageId);
+  // Skip cards that were scrolled past or deleted while waiting in the queue
+  if (!page || !pageDiv || !visibleThumbnails.has(pageId)) return;
+  if (page.canvas && pageDiv.contains(page.canvas)) return;
+
+  const key = getPageRenderKey(page);
+  const cached = thumbnailCache.get(pageId);
+  let canvas;
+
+  if (cached && cached.key === key) {
+    canvas = document.createElement('canvas');
+    canvas.width = cached.bitmap.width;
+    canvas.height = cached.bitmap.height;
+    canvas.style.maxWidth = '100%';
+    canvas.style.height = 'auto';
+    canvas.style.display = 'block';
+    canvas.getContext('2d').drawImage(cached.bitmap, 0, 0);
+  } else {
+    canvas = cropCanvas(await renderPage(page.pdfPage, page.rotation, THUMBNAIL_SCALE), page);
+  }
+  dropCachedThumbnail(pageId);
+
+  // The page may have been rotated, cropped or scrolled away while rendering
+  if (getPageRenderKey(page) !== key || !visibleThumbnails.has(pageId)) return;
+
+  page.canvas = canvas;
+  pageDiv.dataset.renderKey = key;
+  const canvasWrapper = pageDiv.querySelector('.page-canvas');
+  canvasWrapper.innerHTML = '';
+  canvasWrapper.appendChild(canvas);
+  scheduleStampPreview();
+}
+
+// Trade a card's canvas for a cached bitmap once it is far off-screen
+async function parkThumbnail(pageId) {
+  const page = pageManager.getPage(pageId);
+  const pageDiv = pageCards.get(pageId);
+  if (!page || !pageDiv || !page.canvas) return;
+
+  const canvas = page.canvas;
+  const key = pageDiv.dataset.renderKey;
+  page.canvas = null;
+  setThumbnailPlaceholder(page, pageDiv.querySelector('.page-canvas'));
+
+  try {
+    const bitmap = await createImageBitmap(canvas);
+    dropCachedThumbnail(pageId);
+    thumbnailCache.set(pageId, { bitmap, key });
+
+    while (thumbnailCache.size > THUMBNAIL_CACHE_LIMIT) {
+      dropCachedThumbnail(thumbnailCache.keys().next().value);
+    }
+  } catch (error) {
+    console.warn(`Could not cache thumbnail for page ${pageId}:`, error);
+  }
+
+  // Release the canvas memory right away instead of waiting for garbage collection
+  canvas.width = 0;
+  canvas.height = 0;
+}
+
+function dropCachedThumbnail(pageId) {
+  const cached = thumbnailCache.get(pageId);
+  if (!cached) return;
+  cached.bitmap.close();
+  thumbnailCache.delete(pageId);
+}
+
+// Show a card at its current rotation and crop: placeholder first, re-rendered if it is on screen
+function refreshPageCanvas(page, pageDiv) {
+  page.canvas = null;
+  pageDiv.dataset.renderKey = getPageRenderKey(page);
+  dropCachedThumbnail(page.id);
+  setThumbnailPlaceholder(page, pageDiv.querySelector('.page-canvas'));
+
+  if (visibleThumbnails.has(page.id)) {
+    queueThumbnail(page.id);
+  }
+}
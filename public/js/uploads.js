@@ -0,0 +1,217 @@
+// Upload queue: files load one after the other and each gets a row with its status, so one bad
+// file no longer stops the rest of the batch. Files are recognised by their first bytes rather
+// than their MIME type, and PDFs pdf.js cannot open are rewritten by pdf-lib once before giving up.
+
+const uploadQueue = document.getElementById('uploadQueue');
+const uploadQueueList = document.getElementById('uploadQueueList');
+const uploadQueueSummary = document.getElementById('uploadQueueSummary');
+const clearUploadQueueBtn = document.getElementById('clearUploadQueueBtn');
+
+const UPLOAD_STATUSES = {
+  queued: { label: 'Queued', icon: 'bi-hourglass', color: 'text-gray-500' },
+  loading: { label: 'Loading...', icon: 'bi-arrow-repeat', color: 'text-blue-600' },
+  done: { label: 'Done', icon: 'bi-check-circle-fill', color: 'text-green-600' },
+  failed: { label: 'Failed', icon: 'bi-x-circle-fill', color: 'text-red-600' },
+  password: { label: 'Needs password', icon: 'bi-lock-fill', color: 'text-amber-600' }
+};
+
+let uploadEntries = []; // { id, file, status, reason, pages, repaired } in upload order
+let nextUploadId = 1;
+let uploadQueueRun = null; // Promise while queued files are being loaded
+
+uploadQueueList.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const id = Number(button.closest('[data-upload-id]').dataset.uploadId);
+  if (button.dataset.action === 'retry') retryUpload(id);
+  if (button.dataset.action === 'remove') removeUpload(id);
+});
+clearUploadQueueBtn.addEventListener('click', clearFinishedUploads);
+
+// Raised for files that are not worth retrying as they are, message is shown as the reason
+class UploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UploadError';
+  }
+}
+
+// Add files to the queue; resolves once the queue is empty again
+function queueUploads(files) {
+  files.forEach(file => {
+    uploadEntries.push({ id: nextUploadId++, file, status: 'queued', reason: '', pages: 0, repaired: false });
+  });
+  renderUploadQueue();
+  return runUploadQueue();
+}
+
+function runUploadQueue() {
+  if (!uploadQueueRun) {
+    uploadQueueRun = (async () => {
+      let entry;
+      while ((entry = uploadEntries.find(e => e.status === 'queued'))) {
+        await loadUpload(entry);
+      }
+      console.log('=== ALL FILES PROCESSED ===');
+    })().finally(() => uploadQueueRun = null);
+  }
+  return uploadQueueRun;
+}
+
+// 'pdf', 'jpeg', 'png' or null, from the file's first bytes
+async function sniffFileType(file) {
+  const head = new Uint8Array(await file.slice(0, 1024).arrayBuffer());
+  if (head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return 'jpeg';
+  if ([0x89, 0x50, 0x4E, 0x47].every((byte, i) => head[i] === byte)) return 'png';
+  // Readers accept the header anywhere in the first kilobyte, after e.g. a mail gateway's junk
+  return String.fromCharCode(...head).includes('%PDF-') ? 'pdf' : null;
+}
+
+// Let pdf-lib parse what it can (it rebuilds a broken cross-reference table by scanning the
+// objects) and write a clean copy for pdf.js to try again. loadError is what pdf.js reported.
+async function repairPdf(file, loadError) {
+  console.log(`Trying to repair "${file.name}"...`);
+  let pdfDoc;
+  let pageCount;
+  try {
+    pdfDoc = await PDFLib.PDFDocument.load(await file.arrayBuffer(), {
+      ignoreEncryption: true,
+      throwOnInvalidObject: false,
+      updateMetadata: false
+    });
+    pageCount = pdfDoc.getPageCount(); // Throws when not even the catalog was found
+  } catch (error) {
+    console.warn(`✗ Could not repair "${file.name}":`, error);
+    throw new UploadError(`${loadError.message} The file could not be repaired.`);
+  }
+  if (pageCount === 0) {
+    throw new UploadError(`${loadError.message} No pages could be recovered.`);
+  }
+
+  const bytes = await pdfDoc.save({ addDefaultPage: false });
+  console.log(`✓ Repaired "${file.name}" (${pageCount} pages recovered)`);
+  return new File([bytes], file.name, { type: 'application/pdf', lastModified: file.lastModified });
+}
+
+async function loadUpload(entry) {
+  const upload = entry.file;
+  console.log(`\n--- Processing ${upload.name} (${(upload.size / 1048576).toFixed(2)} MB) ---`);
+  entry.status = 'loading';
+  entry.reason = '';
+  entry.repaired = false;
+  renderUploadQueue();
+
+  // Files load one at a time, so this file gets the next slot. The slot is only taken once the file
+  // opened: autosave stores files by slot and assumes a stored slot never changes.
+  const fileIndex = pageManager.originalFiles.length;
+  let added = false;
+  try {
+    const type = await sniffFileType(upload);
+    if (!type) throw new UploadError(upload.size === 0 ? 'Empty file' : 'Not a PDF, JPG or PNG file');
+
+    // Images become single-page PDFs so the rest of the pipeline treats them like any upload
+    let file = type === 'pdf' ? upload : await imageToPdfFile(upload, imagePageSize.value);
+    let opened;
+    try {
+      opened = await openPDF(file, fileIndex);
+    } catch (error) {
+      if (type !== 'pdf' || error instanceof PasswordCancelledError) throw error;
+      file = await repairPdf(file, error);
+      opened = await openPDF(file, fileIndex);
+      entry.repaired = true;
+    }
+
+    pageManager.originalFiles.push(file);
+    added = true;
+    entry.pages = await addPdfPages(file, fileIndex, opened, { label: `Load ${upload.name}`, pages: [] });
+    entry.status = 'done';
+  } catch (error) {
+    // A file that opened stays, its pages may already be in the grid
+    if (!added) pageManager.filePasswords.delete(fileIndex);
+
+    if (error instanceof PasswordCancelledError) {
+      entry.status = 'password';
+      entry.reason = 'No password entered';
+      console.warn(`Skipped "${upload.name}": no password entered`);
+    } else {
+      entry.status = 'failed';
+      entry.reason = error instanceof UploadError ? error.message : `Could not open the file (${error.message})`;
+      console.error(`✗ Failed to load "${upload.name}":`, error);
+    }
+  }
+
+  renderUploadQueue();
+  syncGrid();
+}
+
+function retryUpload(id) {
+  const entry = uploadEntries.find(e => e.id === id);
+  if (!entry || !['failed', 'password'].includes(entry.status)) return;
+  entry.status = 'queued';
+  entry.reason = '';
+  renderUploadQueue();
+  runUploadQueue();
+}
+
+// Drop a row; a queued file is not loaded at all. Pages of a loaded file stay in the grid.
+function removeUpload(id) {
+  uploadEntries = uploadEntries.filter(e => e.id !== id || e.status === 'loading');
+  renderUploadQueue();
+}
+
+function clearFinishedUploads() {
+  uploadEntries = uploadEntries.filter(e => e.status === 'queued' || e.status === 'loading');
+  renderUploadQueue();
+}
+
+function renderUploadQueue() {
+  uploadQueue.classList.toggle('hidden', uploadEntries.length === 0);
+  uploadQueueList.innerHTML = '';
+
+  uploadEntries.forEach(entry => {
+    const status = UPLOAD_STATUSES[entry.status];
+    const item = document.createElement('li');
+    item.className = 'flex items-start gap-3 px-4 py-2';
+    item.dataset.uploadId = entry.id;
+    item.innerHTML = `
+      <i class="bi ${status.icon} ${status.color} mt-0.5"></i>
+      <div class="min-w-0 flex-1">
+        <p class="upload-name text-sm text-gray-900 truncate"></p>
+        <p class="upload-info text-xs text-gray-500"></p>
+      </div>
+    `;
+    item.querySelector('.upload-name').textContent = entry.file.name;
+    item.querySelector('.upload-name').title = entry.file.name;
+
+    const info = [formatFileSize(entry.file.size), status.label];
+    if (entry.status === 'done') info[1] = `${entry.pages} page(s)${entry.repaired ? ', repaired' : ''}`;
+    if (entry.reason) info.push(entry.reason);
+    const infoLine = item.querySelector('.upload-info');
+    infoLine.textContent = info.join(' · ');
+    infoLine.classList.toggle('text-red-600', entry.status === 'failed');
+
+    if (entry.status === 'failed' || entry.status === 'password') {
+      item.insertAdjacentHTML('beforeend', `
+        <button data-action="retry" class="text-gray-600 hover:bg-gray-100 w-7 h-7 rounded flex items-center justify-center" title="Try again" aria-label="Try again">
+          <i class="bi bi-arrow-clockwise"></i>
+        </button>
+      `);
+    }
+    if (entry.status !== 'loading') {
+      item.insertAdjacentHTML('beforeend', `
+        <button data-action="remove" class="text-gray-600 hover:bg-gray-100 w-7 h-7 rounded flex items-center justify-center" title="Remove from list" aria-label="Remove from list">
+          <i class="bi bi-x-lg"></i>
+        </button>
+      `);
+    }
+    uploadQueueList.appendChild(item);
+  });
+
+  const count = status => uploadEntries.filter(e => e.status === status).length;
+  const pending = count('queued') + count('loading');
+  const parts = [`${count('done')} of ${uploadEntries.length} loaded`];
+  if (pending > 0) parts.push(`${pending} pending`);
+  if (count('failed') > 0) parts.push(`${count('failed')} failed`);
+  if (count('password') > 0) parts.push(`${count('password')} need a password`);
+  uploadQueueSummary.textContent = parts.join(', ');
+}
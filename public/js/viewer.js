@@ -0,0 +1,334 @@
+// Page viewer: double-click a card to inspect the page at full size. The page is re-rendered at
+// the screen's pixel density for every zoom level, and rotate/delete/select act on pageManager
+// exactly like the card buttons, so grid and viewer never disagree. Crop mode shows the whole
+// page and sets the page's crop box to the rectangle dragged over it.
+
+const viewerModal = document.getElementById('viewerModal');
+const viewerStage = document.getElementById('viewerStage');
+const viewerPageLabel = document.getElementById('viewerPageLabel');
+const viewerSourceLabel = document.getElementById('viewerSourceLabel');
+const viewerZoomLabel = document.getElementById('viewerZoomLabel');
+const viewerPrevBtn = document.getElementById('viewerPrevBtn');
+const viewerNextBtn = document.getElementById('viewerNextBtn');
+const viewerSelectBtn = document.getElementById('viewerSelectBtn');
+const viewerCropBtn = document.getElementById('viewerCropBtn');
+const viewerResetCropBtn = document.getElementById('viewerResetCropBtn');
+
+const VIEWER_MIN_ZOOM = 0.25;
+const VIEWER_MAX_ZOOM = 4;
+const VIEWER_ZOOM_STEP = 1.25;
+const VIEWER_MAX_PIXELS = 16000000; // Canvas size cap, high zoom on a high-DPI screen adds up fast
+const VIEWER_MIN_CROP = 0.02; // Smaller rectangles are taken for a stray click, as a fraction of the page
+
+let viewerPageId = null;
+let viewerIndex = 0; // Position of the page, used to pick a neighbour when it disappears
+let viewerZoom = { mode: 'fit-page', scale: 1 }; // mode: 'fit-page' | 'fit-width' | 'custom'
+let viewerRendered = null; // { pageId, key, scale } of the canvas on stage
+let viewerRenderToken = 0;
+let viewerReturnFocus = null;
+let viewerCropping = false; // Crop mode: the whole page is shown and dragging draws the crop
+let viewerCropDrag = null; // { pointerId, startX, startY, box } while a crop rectangle is drawn
+
+pagesGrid.addEventListener('dblclick', (e) => {
+  const card = e.target.closest('.pdf-page');
+  if (!card || e.target.closest('button, input')) return;
+  openViewer(Number(card.dataset.pageId));
+});
+
+viewerPrevBtn.addEventListener('click', () => showViewerPage(viewerIndex - 1));
+viewerNextBtn.addEventListener('click', () => showViewerPage(viewerIndex + 1));
+document.getElementById('viewerZoomOutBtn').addEventListener('click', () => zoomViewer(1 / VIEWER_ZOOM_STEP));
+document.getElementById('viewerZoomInBtn').addEventListener('click', () => zoomViewer(VIEWER_ZOOM_STEP));
+document.getElementById('viewerFitWidthBtn').addEventListener('click', () => setViewerZoom('fit-width'));
+document.getElementById('viewerFitPageBtn').addEventListener('click', () => setViewerZoom('fit-page'));
+document.getElementById('viewerRotateBtn').addEventListener('click', rotateViewerPage);
+viewerCropBtn.addEventListener('click', () => setViewerCropping(!viewerCropping));
+viewerResetCropBtn.addEventListener('click', resetViewerCrop);
+document.getElementById('viewerDeleteBtn').addEventListener('click', deleteViewerPage);
+document.getElementById('viewerCloseBtn').addEventListener('click', closeViewer);
+viewerSelectBtn.addEventListener('click', toggleViewerSelection);
+document.addEventListener('keydown', handleViewerKeydown);
+window.addEventListener('resize', () => {
+  if (viewerPageId !== null && viewerZoom.mode !== 'custom') renderViewerPage();
+});
+viewerStage.addEventListener('pointerdown', handleCropPointerDown);
+viewerStage.addEventListener('pointermove', handleCropPointerMove);
+viewerStage.addEventListener('pointerup', (e) => finishCropDrag(e, true));
+viewerStage.addEventListener('pointercancel', (e) => finishCropDrag(e, false));
+
+function openViewer(pageId) {
+  const index = pageManager.getAllPages().findIndex(p => p.id === pageId);
+  if (index === -1) return;
+
+  viewerReturnFocus = document.activeElement;
+  viewerModal.classList.remove('hidden');
+  viewerZoom = { mode: 'fit-page', scale: 1 };
+  viewerCropping = false;
+  showViewerPage(index);
+  viewerModal.focus();
+}
+
+function closeViewer() {
+  viewerRenderToken++;
+  viewerPageId = null;
+  viewerRendered = null;
+  viewerModal.classList.add('hidden');
+  clearViewerStage();
+  if (viewerReturnFocus) viewerReturnFocus.focus();
+}
+
+function clearViewerStage() {
+  viewerCropDrag = null;
+  const canvas = viewerStage.querySelector('canvas');
+  if (canvas) {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+  viewerStage.innerHTML = '';
+}
+
+// Show the page at index in the current grid order (clamped to the ends)
+function showViewerPage(index) {
+  const pages = pageManager.getAllPages();
+  if (pages.length === 0) {
+    closeViewer();
+    return;
+  }
+
+  viewerIndex = Math.min(Math.max(index, 0), pages.length - 1);
+  viewerPageId = pages[viewerIndex].id;
+  viewerCropping = false;
+  viewerCropDrag = null;
+  updateViewerControls();
+  renderViewerPage();
+
+  // Keep the grid's scroll position following the viewer
+  const card = pageCards.get(viewerPageId);
+  if (card && card.isConnected) card.scrollIntoView({ block: 'nearest' });
+}
+
+function updateViewerControls() {
+  const pages = pageManager.getAllPages();
+  const page = pageManager.getPage(viewerPageId);
+
+  viewerPageLabel.textContent = `Page ${viewerIndex + 1} of ${pages.length}`;
+  viewerSourceLabel.textContent = page.synthetic ? page.fileName : `${page.fileName} · page ${page.originalPageNum}`;
+  viewerPrevBtn.disabled = viewerIndex === 0;
+  viewerNextBtn.disabled = viewerIndex === pages.length - 1;
+
+  viewerSelectBtn.classList.toggle('bg-blue-600', page.selected);
+  viewerSelectBtn.classList.toggle('text-white', page.selected);
+  viewerSelectBtn.querySelector('i').className = page.selected ? 'bi bi-check-square' : 'bi bi-square';
+  viewerSelectBtn.querySelector('span').textContent = page.selected ? 'Selected' : 'Select';
+
+  viewerCropBtn.classList.toggle('bg-blue-600', viewerCropping);
+  viewerCropBtn.setAttribute('aria-pressed', viewerCropping);
+  viewerResetCropBtn.classList.toggle('hidden', !page.crop);
+}
+
+// Scale (CSS pixels per PDF point) for the current zoom mode
+function getViewerScale(page) {
+  if (viewerZoom.mode === 'custom') return viewerZoom.scale;
+
+  // Crop mode fits the whole page, otherwise only the cropped part is shown
+  const viewport = page.pdfPage.getViewport({ scale: 1, rotation: page.rotation });
+  const [width, height] = viewerCropping ? [viewport.width, viewport.height] : getDisplayedPageSize(page);
+  const padding = 48;
+  const widthScale = (viewerStage.clientWidth - padding) / width;
+  const heightScale = (viewerStage.clientHeight - padding) / height;
+  const scale = viewerZoom.mode === 'fit-width' ? widthScale : Math.min(widthScale, heightScale);
+  // A hidden or unsized stage (e.g. during layout) reports 0
+  return scale > 0 ? Math.min(Math.max(scale, VIEWER_MIN_ZOOM), VIEWER_MAX_ZOOM) : 1;
+}
+
+async function renderViewerPage() {
+  const page = pageManager.getPage(viewerPageId);
+  if (!page) return;
+
+  const scale = getViewerScale(page);
+  viewerZoom.scale = scale;
+  viewerZoomLabel.textContent = `${Math.round(scale * 100)}%`;
+
+  const key = viewerCropping ? `${page.rotation}:cropping` : getPageRenderKey(page);
+  const rendered = viewerRendered;
+  if (rendered && rendered.pageId === page.id && rendered.key === key && rendered.scale === scale) return;
+
+  const token = ++viewerRenderToken;
+  const viewport = page.pdfPage.getViewport({ scale, rotation: page.rotation });
+  const pixelRatio = Math.min(window.devicePixelRatio || 1, Math.sqrt(VIEWER_MAX_PIXELS / (viewport.width * viewport.height)));
+  let canvas = await renderPage(page.pdfPage, page.rotation, scale * pixelRatio);
+
+  // Another page or zoom level was requested while this one was rendering
+  if (token !== viewerRenderToken) {
+    canvas.width = 0;
+    canvas.height = 0;
+    return;
+  }
+
+  const cssWidth = viewerCropping ? viewport.width : getDisplayedPageSize(page)[0] * scale;
+  if (!viewerCropping) canvas = cropCanvas(canvas, page);
+  canvas.style.width = `${Math.floor(cssWidth)}px`;
+  canvas.style.maxWidth = 'none';
+  canvas.className = 'viewer-canvas bg-white shadow-lg';
+  clearViewerStage();
+
+  if (viewerCropping) {
+    // The frame is what the crop rectangle is measured against
+    canvas.className = 'bg-white shadow-lg';
+    const frame = document.createElement('div');
+    frame.className = 'viewer-canvas viewer-crop-frame';
+    const box = document.createElement('div');
+    box.className = 'viewer-crop-box';
+    frame.append(canvas, box);
+    viewerStage.appendChild(frame);
+    showViewerCropBox(getDisplayedCrop(page.crop, page.rotation));
+  } else {
+    viewerStage.appendChild(canvas);
+  }
+  viewerRendered = { pageId: page.id, key, scale };
+}
+
+function setViewerZoom(mode, scale = viewerZoom.scale) {
+  viewerZoom = { mode, scale: Math.min(Math.max(scale, VIEWER_MIN_ZOOM), VIEWER_MAX_ZOOM) };
+  renderViewerPage();
+}
+
+function zoomViewer(factor) {
+  setViewerZoom('custom', viewerZoom.scale * factor);
+}
+
+function rotateViewerPage() {
+  pageManager.rotatePage(viewerPageId, 90);
+  syncGrid();
+}
+
+function setViewerCropping(cropping) {
+  viewerCropping = cropping;
+  updateViewerControls();
+  renderViewerPage();
+}
+
+// crop: displayed insets, or null for a box around the whole page
+function showViewerCropBox(crop) {
+  const box = viewerStage.querySelector('.viewer-crop-box');
+  if (!box) return;
+  const insets = crop || { top: 0, right: 0, bottom: 0, left: 0 };
+  box.style.left = `${insets.left * 100}%`;
+  box.style.top = `${insets.top * 100}%`;
+  box.style.right = `${insets.right * 100}%`;
+  box.style.bottom = `${insets.bottom * 100}%`;
+}
+
+// Position of a pointer event within the crop frame, as fractions clamped to the page
+function getCropPoint(e, frame) {
+  const bounds = frame.getBoundingClientRect();
+  return {
+    x: Math.min(Math.max((e.clientX - bounds.left) / bounds.width, 0), 1),
+    y: Math.min(Math.max((e.clientY - bounds.top) / bounds.height, 0), 1)
+  };
+}
+
+function getDraggedCrop(drag, point) {
+  return {
+    left: Math.min(drag.start.x, point.x),
+    top: Math.min(drag.start.y, point.y),
+    right: 1 - Math.max(drag.start.x, point.x),
+    bottom: 1 - Math.max(drag.start.y, point.y)
+  };
+}
+
+function handleCropPointerDown(e) {
+  const frame = e.target.closest('.viewer-crop-frame');
+  if (!viewerCropping || !frame || viewerCropDrag || e.button !== 0) return;
+
+  e.preventDefault();
+  frame.setPointerCapture(e.pointerId);
+  viewerCropDrag = { pointerId: e.pointerId, frame, start: getCropPoint(e, frame) };
+}
+
+function handleCropPointerMove(e) {
+  if (!viewerCropDrag || e.pointerId !== viewerCropDrag.pointerId) return;
+  showViewerCropBox(getDraggedCrop(viewerCropDrag, getCropPoint(e, viewerCropDrag.frame)));
+}
+
+function finishCropDrag(e, apply) {
+  if (!viewerCropDrag || e.pointerId !== viewerCropDrag.pointerId) return;
+
+  const crop = getDraggedCrop(viewerCropDrag, getCropPoint(e, viewerCropDrag.frame));
+  viewerCropDrag = null;
+  const page = pageManager.getPage(viewerPageId);
+  const tooSmall = 1 - crop.left - crop.right < VIEWER_MIN_CROP || 1 - crop.top - crop.bottom < VIEWER_MIN_CROP;
+  if (!apply || tooSmall) {
+    showViewerCropBox(getDisplayedCrop(page.crop, page.rotation));
+    return;
+  }
+
+  viewerCropping = false;
+  pageManager.setPageCrop(page.id, getStoredCrop(crop, page.rotation));
+  syncGrid();
+}
+
+function resetViewerCrop() {
+  viewerCropping = false;
+  pageManager.setPageCrop(viewerPageId, null);
+  syncGrid();
+}
+
+function deleteViewerPage() {
+  pageManager.removePage(viewerPageId);
+  syncGrid();
+}
+
+function toggleViewerSelection() {
+  pageManager.toggleSelection(viewerPageId);
+  selectionAnchorId = viewerPageId;
+  syncGrid();
+}
+
+// Called from syncGrid: follow edits made anywhere (viewer buttons, grid, undo/redo)
+function syncViewer() {
+  if (viewerPageId === null) return;
+
+  const pages = pageManager.getAllPages();
+  const index = pages.findIndex(p => p.id === viewerPageId);
+  if (index === -1) {
+    // The page was deleted: show the one that took its place
+    viewerRendered = null;
+    showViewerPage(viewerIndex);
+    return;
+  }
+
+  viewerIndex = index;
+  updateViewerControls();
+  renderViewerPage();
+}
+
+function handleViewerKeydown(e) {
+  if (viewerPageId === null || e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const actions = {
+    ArrowLeft: () => showViewerPage(viewerIndex - 1),
+    PageUp: () => showViewerPage(viewerIndex - 1),
+    ArrowRight: () => showViewerPage(viewerIndex + 1),
+    PageDown: () => showViewerPage(viewerIndex + 1),
+    Home: () => showViewerPage(0),
+    End: () => showViewerPage(Infinity),
+    '+': () => zoomViewer(VIEWER_ZOOM_STEP),
+    '=': () => zoomViewer(VIEWER_ZOOM_STEP),
+    '-': () => zoomViewer(1 / VIEWER_ZOOM_STEP),
+    '0': () => setViewerZoom('fit-page'),
+    w: () => setViewerZoom('fit-width'),
+    r: rotateViewerPage,
+    c: () => setViewerCropping(!viewerCropping),
+    ' ': toggleViewerSelection,
+    Delete: deleteViewerPage,
+    // Leave crop mode first, a second Escape closes the viewer
+    Escape: () => (viewerCropping ? setViewerCropping(false) : closeViewer())
+  };
+
+  const action = actions[e.key];
+  if (!action) return;
+  e.preventDefault();
+  e.stopPropagation();
+  action();
+}